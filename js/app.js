@@ -8,9 +8,119 @@
 // - Explicitly sets outputNode.gain.value = 1
 // - Exposes window.__rnboContext and window.__rnboOutputNode for quick debugging
 // - Keeps your existing null-safe helper behavior & DOM-ready init
+// - Reads patch/playlist/buffer locations and RNBO parameter ids from config.json
+//   (overridable with ?patch= ?playlist= ?media= ?buffer=) and hands them to the UI
+
+// ----------------------------
+// App config (config.json + query string)
+// ----------------------------
+// "params" maps the names the UIs use to the ids in your patch, e.g.
+// { "outGain": "vol" } if the gain param is called "vol" in your export.
+// "playhead" is used both as a parameter id and as an outport tag.
+const DEFAULT_CONFIG = {
+  patch: "export/patch.export.json",
+  mediaBase: "export/media/",
+  playlist: "export/media/playlist.json",
+  buffer: "sample",
+  rnboScriptSources: null,
+  // outGain taper for the volume faders: unit "auto" | "dB" | "linear";
+  // unity = the parameter value that means 0 dB (linear only, defaults to max)
+  gain: { unit: "auto", unity: null },
+  // Sample buffer layout: "source" keeps each file's channels, a number forces
+  // that many (up-mix repeats channels, down-mix per channelMix "average" | "first")
+  bufferChannels: "source",
+  channelMix: "average",
+  // Every sample is resampled to one playback rate ("context" = the AudioContext's)
+  // with resampleQuality "browser" | "sinc" | "linear"
+  sampleRate: "context",
+  resampleQuality: "browser",
+  // How many playlist items are fetched/decoded at once
+  loadConcurrency: 4,
+  // Decoded audio is kept for at most audioCacheMB (least recently used dropped
+  // first); selecting an item also decodes `prefetch` neighbours on each side
+  audioCacheMB: 64,
+  prefetch: 1,
+  // decks: 2 allows a second device instance so items can chain gaplessly or
+  // crossfade (crossfadeMs, 0 = gapless). It's only created once a play mode
+  // chains items or the crossfade is above 0. 1 = a single device, cut between items
+  decks: 2,
+  crossfadeMs: 0,
+  params: {
+    rate: "rate",
+    loop: "loop",
+    outGain: "outGain",
+    jumpto: "jumpto",
+    playTrig: "playTrig",
+    stopTrig: "stopTrig",
+    playhead: "playhead",
+  },
+  // Parameter panel controls by param id: "toggle" (0/1 checkbox) or "trigger"
+  // (a button that pulses 1 then 0); others are sliders, or toggles with 2 steps
+  controls: {},
+};
+
+// Everything up to and including the last "/" (or "" for a bare filename)
+const dirOf = (url) => url.slice(0, url.lastIndexOf("/") + 1);
+
+async function loadAppConfig(search = window.location.search) {
+  const query = new URLSearchParams(search);
+  const configURL = query.get("config") || "config.json";
+
+  let fileConfig = {};
+  try {
+    const r = await fetch(configURL, { cache: "no-store" });
+    if (r.ok) fileConfig = await r.json();
+    else if (query.has("config")) throw new Error(`HTTP ${r.status}`);
+  } catch (e) {
+    // A missing default config.json is fine; an explicitly requested one is not
+    if (query.has("config")) {
+      const err = new Error(`Couldn't load config "${configURL}": ${e.message}`);
+      err.header = "Couldn't load app config";
+      err.description = `The page was opened with ?config=${configURL}, but that file couldn't be loaded or parsed.`;
+      throw err;
+    }
+    console.warn(`[RNBO] Ignoring unreadable ${configURL}:`, e);
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...fileConfig,
+    gain: { ...DEFAULT_CONFIG.gain, ...(fileConfig.gain || {}) },
+    params: { ...DEFAULT_CONFIG.params, ...(fileConfig.params || {}) },
+    controls: { ...DEFAULT_CONFIG.controls, ...(fileConfig.controls || {}) },
+  };
+
+  if (query.has("patch")) config.patch = query.get("patch");
+  if (query.has("playlist")) {
+    config.playlist = query.get("playlist");
+    // Media lives next to the playlist unless told otherwise
+    if (!query.has("media")) config.mediaBase = dirOf(config.playlist);
+  }
+  if (query.has("media")) {
+    const media = query.get("media");
+    config.mediaBase = media.endsWith("/") ? media : media + "/";
+  }
+  if (query.has("buffer")) config.buffer = query.get("buffer");
+
+  return config;
+}
 
 async function setup() {
-  const patchExportURL = "export/patch.export.json";
+  // ----------------------------
+  // Resolve config first: it says which patch to load
+  // ----------------------------
+  let config;
+  try {
+    config = await loadAppConfig();
+  } catch (err) {
+    console.error("[RNBO] Failed to load config:", err);
+    if (typeof guardrails === "function") {
+      guardrails({ error: err, header: err.header, description: err.description });
+    }
+    return;
+  }
+  window.__rnboConfig = config;
+  const patchExportURL = config.patch;
 
   // ----------------------------
   // DOM helpers (null-safe)
@@ -84,21 +194,31 @@ async function setup() {
 
     if (!window.RNBO) {
       // Load RNBO script dynamically
-      await loadRNBOScript(patcher.desc.meta.rnboversion);
+      await loadRNBOScript(patcher.desc.meta.rnboversion, config.rnboScriptSources || undefined);
     }
   } catch (err) {
     const errorContext = { error: err };
-    if (response && (response.status >= 300 || response.status < 200)) {
+    if (err && err.header) {
+      errorContext.header = err.header;
+      errorContext.description = err.description;
+    } else if (response && (response.status >= 300 || response.status < 200)) {
       errorContext.header = `Couldn't load patcher export bundle`;
       errorContext.description =
-        `Check app.js to see what file it's trying to load. Currently it's ` +
-        `"${patchExportURL}".`;
+        `Check config.json (or the ?patch= query parameter) to see what file it's trying to load. ` +
+        `Currently it's "${patchExportURL}".`;
     }
     console.error("[RNBO] Failed to load patch export:", errorContext);
     if (typeof guardrails === "function") guardrails(errorContext);
     return;
   }
 
+  // Non-fatal: shown with the final guardrails() pass at the end of setup
+  const versionMismatch = checkRNBOVersionMeta(patcher);
+  if (versionMismatch) {
+    console.warn(`[RNBO] ${versionMismatch.description}`);
+    if (typeof guardrailsWarn === "function") guardrailsWarn(versionMismatch);
+  }
+
   // ----------------------------
   // Create the device
   // ----------------------------
@@ -155,12 +275,57 @@ async function setup() {
   // Skip sections if your HTML doesn't include them
   removeIf("rnbo-content", "rnbo-description");
 
+  // ----------------------------
+  // Generic device UI (index.html only; each is a no-op without its section)
+  // ----------------------------
+  makeParameterControls(device, config.controls);
+  makeInportForm(device, patcher);
+  attachOutportConsole(device, patcher);
+  makePresetBrowser(device, patcher);
+  makeMIDIKeyboard(device);
+
   // ----------------------------
   // Initialize Playlist UI if present
   // ----------------------------
-  if (window.initPlaylistUI) {
+  // Only where the page has the UI's markup: index.html loads playlist-ui.js
+  // too, but takes any patch
+  const uiRoot = window.initPlaylistUI?.contract?.root;
+  if (window.initPlaylistUI && (!uiRoot || document.getElementById(uiRoot))) {
+    // Check the export provides what this UI drives before it starts throwing mid-interaction
+    const contract = window.initPlaylistUI.contract;
+    const report = contract ? validatePatchContract(patcher, contract, config) : null;
+    if (report) {
+      report.warnings.forEach((w) => console.warn(`[RNBO] ${contract.name}: ${w}`));
+    }
+    if (report && report.errors.length) {
+      console.error(`[RNBO] Patch export doesn't satisfy ${contract.name}:`, report.errors);
+      if (typeof guardrails === "function") {
+        guardrails({
+          header: `Patch export doesn't match the ${contract.name}`,
+          description:
+            `"${patchExportURL}" is missing things this page needs. Re-export the patch, ` +
+            `or map the ids in config.json ("params" / "buffer").`,
+          items: report.errors,
+        });
+      }
+      return;
+    }
+
+    // Extra device instances for the playlist's decks, wired the same way as the
+    // first; inports let the playlist schedule its transport (see createTransport)
+    const host = {
+      output: outputNode,
+      inports: (patcher.desc?.inports || []).map((i) => i.tag),
+      createDevice: async () => {
+        const extra = await RNBO.createDevice({ context, patcher });
+        if (dependencies.length) await extra.loadDataBufferDependencies(dependencies);
+        extra.node.connect(outputNode);
+        return extra;
+      },
+    };
+
     try {
-      await window.initPlaylistUI(device, context);
+      await window.initPlaylistUI(device, context, config, host);
     } catch (e) {
       console.error("[RNBO] initPlaylistUI failed:", e);
     }
@@ -182,16 +347,883 @@ async function setup() {
   if (typeof guardrails === "function") guardrails();
 }
 
-function loadRNBOScript(version) {
+// ----------------------------
+// Patch export contract validation
+// ----------------------------
+// A UI declares what it drives as
+//   { name, root, params: { <ui name>: { covers: [lo, hi], optional, note } }, buffer, outports: [<ui name>] }
+// root is the id of an element the UI's page has; without it on the page the UI isn't started.
+// Param and outport names go through config.params, the buffer is config.buffer.
+// Returns { errors: [...], warnings: [...] } as human-readable strings.
+function validatePatchContract(patcher, contract, config) {
+  const desc = patcher?.desc || {};
+  const errors = [];
+  const warnings = [];
+  const idFor = (name) => config?.params?.[name] || name;
+  const label = (name) => (idFor(name) === name ? `"${name}"` : `"${idFor(name)}" (mapped from "${name}")`);
+
+  const params = new Map((desc.parameters || []).map((p) => [p.paramId, p]));
+  const tags = new Set((desc.outports || []).map((o) => o.tag));
+  Object.entries(contract.params || {}).forEach(([name, req]) => {
+    const p = params.get(idFor(name));
+    const report = req.optional ? warnings : errors;
+    // { outport: true }: an outport with the same id works as well as the parameter
+    if (!p && req.outport && tags.has(idFor(name))) return;
+    if (!p) {
+      report.push(`Missing parameter ${label(name)}${req.note ? ` (${req.note})` : ""}`);
+      return;
+    }
+    if (req.covers) {
+      const [lo, hi] = req.covers;
+      if (p.minimum > lo || p.maximum < hi) {
+        report.push(
+          `Parameter ${label(name)} ranges ${p.minimum}..${p.maximum}, but needs at least ${lo}..${hi}`
+        );
+      }
+    }
+  });
+
+  if (contract.buffer) {
+    const bufferId = config?.buffer || "sample";
+    const refs = desc.externalDataRefs || [];
+    const ref = refs.find((r) => r.id === bufferId);
+    if (!ref) {
+      const available = refs.map((r) => `"${r.id}"`).join(", ") || "none";
+      errors.push(`Missing external buffer "${bufferId}" (export has: ${available})`);
+    } else if (ref.type && ref.type !== "Float32Buffer") {
+      errors.push(`External buffer "${bufferId}" is a ${ref.type}, expected a Float32Buffer (buffer~)`);
+    }
+  }
+
+  (contract.outports || []).forEach((name) => {
+    if (!tags.has(idFor(name))) errors.push(`Missing outport ${label(name)}`);
+  });
+
+  return { errors, warnings };
+}
+
+// ----------------------------
+// Parameter controls (#rnbo-parameter-sliders)
+// ----------------------------
+// One row per visible parameter: enum -> <select>, 0/1 with two steps ->
+// checkbox, everything else -> range slider. Rows follow device.parameterChangeEvent
+// so values the patch sets itself show up live.
+function formatParamValue(p, value) {
+  if (p.isEnum && p.enumValues?.length) {
+    return String(p.enumValues[Math.round(value)] ?? value);
+  }
+  const range = Math.abs(p.max - p.min);
+  const digits = p.steps > 1 || range >= 100 ? 0 : range >= 10 ? 1 : 2;
+  const text = Number(value).toFixed(digits);
+  return p.unit ? `${text} ${p.unit}` : text;
+}
+
+const TRIGGER_PULSE_MS = 20;
+
+// controls: config.controls, { <param id>: "toggle" | "trigger" }
+function paramControlKind(p, controls = {}) {
+  if (p.isEnum && p.enumValues?.length) return "enum";
+  const kind = controls[p.id];
+  if (kind === "toggle" || kind === "trigger") return kind;
+  if (p.steps === 2 && p.min === 0 && p.max === 1) return "toggle";
+  return "slider";
+}
+
+function makeParameterControls(device, controls) {
+  const pdiv = document.getElementById("rnbo-parameter-sliders");
+  if (!pdiv) return;
+
+  const params = (device.parameters || []).filter((p) => p.visible !== false);
+  if (!params.length) return;
+
+  const noParamLabel = document.getElementById("no-param-label");
+  if (noParamLabel && noParamLabel.parentNode) noParamLabel.parentNode.removeChild(noParamLabel);
+
+  const rows = new Map(); // param id -> { sync(value) }
+
+  params.forEach((p) => {
+    const kind = paramControlKind(p, controls);
+    const row = document.createElement("div");
+    row.className = `param-row param-${kind}`;
+
+    const label = document.createElement("label");
+    label.setAttribute("for", `param-${p.id}`);
+    label.textContent = p.displayName || p.name;
+
+    const readout = document.createElement("span");
+    readout.className = "param-value";
+
+    let control;
+    let isEditing = false; // don't fight the user's drag with incoming updates
+
+    if (kind === "enum") {
+      control = document.createElement("select");
+      p.enumValues.forEach((v, i) => {
+        const opt = document.createElement("option");
+        opt.value = String(i);
+        opt.textContent = String(v);
+        control.appendChild(opt);
+      });
+      control.addEventListener("change", () => {
+        p.value = Number(control.value);
+      });
+    } else if (kind === "toggle") {
+      control = document.createElement("input");
+      control.type = "checkbox";
+      control.addEventListener("change", () => {
+        p.value = control.checked ? 1 : 0;
+      });
+    } else if (kind === "trigger") {
+      control = document.createElement("button");
+      control.type = "button";
+      control.textContent = "Trigger";
+      control.addEventListener("click", () => {
+        p.value = 1;
+        setTimeout(() => (p.value = 0), TRIGGER_PULSE_MS);
+      });
+    } else {
+      control = document.createElement("input");
+      control.type = "range";
+      control.min = p.min;
+      control.max = p.max;
+      control.step = (p.max - p.min) / (p.steps > 1 ? p.steps - 1 : 1000);
+      control.addEventListener("pointerdown", () => (isEditing = true));
+      control.addEventListener("pointerup", () => (isEditing = false));
+      control.addEventListener("input", () => {
+        p.value = Number(control.value);
+        readout.textContent = formatParamValue(p, p.value);
+      });
+      control.addEventListener("change", () => (isEditing = false));
+    }
+    control.id = `param-${p.id}`;
+    control.dataset.paramId = p.id;
+
+    const sync = (value) => {
+      readout.textContent = formatParamValue(p, value);
+      if (kind === "enum") control.value = String(Math.round(value));
+      else if (kind === "toggle") control.checked = value >= 0.5;
+      else if (kind === "trigger") control.classList.toggle("is-active", value >= 0.5);
+      else if (!isEditing) control.value = value;
+    };
+    sync(p.value);
+    rows.set(p.id, { sync });
+
+    row.appendChild(label);
+    row.appendChild(control);
+    row.appendChild(readout);
+    pdiv.appendChild(row);
+  });
+
+  device.parameterChangeEvent.subscribe((p) => {
+    const row = rows.get(p.id);
+    if (row) row.sync(p.value);
+  });
+}
+
+// ----------------------------
+// Inport message sender (#inport-form)
+// ----------------------------
+const INPORT_HISTORY_SIZE = 10;
+
+// "1 2.5, 3" -> [1, 2.5, 3]; a single number stays a number.
+// Throws on anything RNBO can't take as a message payload.
+function parseInportPayload(text) {
+  const tokens = String(text).trim().split(/[\s,]+/).filter(Boolean);
+  if (!tokens.length) return 0; // bare "bang"-style send
+  const values = tokens.map((t) => {
+    const n = Number(t);
+    if (!Number.isFinite(n)) throw new Error(`"${t}" is not a number`);
+    return n;
+  });
+  return values.length === 1 ? values[0] : values;
+}
+
+function makeInportForm(device, patcher) {
+  const form = document.getElementById("inport-form");
+  const select = document.getElementById("inport-select");
+  const text = document.getElementById("inport-text");
+  if (!form || !select || !text) return;
+
+  const inports = patcher?.desc?.inports || [];
+  if (!inports.length) {
+    if (form.parentNode) form.parentNode.removeChild(form);
+    return;
+  }
+
+  const noInportsLabel = document.getElementById("no-inports-label");
+  if (noInportsLabel && noInportsLabel.parentNode) noInportsLabel.parentNode.removeChild(noInportsLabel);
+
+  select.innerHTML = "";
+  inports.forEach(({ tag, meta }) => {
+    const opt = document.createElement("option");
+    opt.value = tag;
+    opt.textContent = tag;
+    if (meta) opt.title = meta;
+    select.appendChild(opt);
+  });
+
+  // Most recent first; click a row (or use ArrowUp/ArrowDown in the text field) to recall it
+  const history = [];
+  let recallIndex = -1;
+
+  const historyList = document.createElement("ol");
+  historyList.id = "inport-history";
+  form.appendChild(historyList);
+
+  const recall = (entry) => {
+    select.value = entry.tag;
+    text.value = entry.text;
+    text.focus();
+  };
+
+  const renderHistory = () => {
+    historyList.innerHTML = "";
+    history.forEach((entry) => {
+      const li = document.createElement("li");
+      li.textContent = `${entry.tag} ${entry.text}`.trim();
+      li.title = "Click to recall";
+      li.addEventListener("click", () => recall(entry));
+      historyList.appendChild(li);
+    });
+  };
+
+  text.addEventListener("input", () => text.setCustomValidity(""));
+
+  text.addEventListener("keydown", (e) => {
+    if (!history.length || (e.key !== "ArrowUp" && e.key !== "ArrowDown")) return;
+    e.preventDefault();
+    recallIndex = e.key === "ArrowUp"
+      ? Math.min(recallIndex + 1, history.length - 1)
+      : Math.max(recallIndex - 1, -1);
+    if (recallIndex < 0) text.value = "";
+    else recall(history[recallIndex]);
+  });
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+
+    let payload;
+    try {
+      payload = parseInportPayload(text.value);
+    } catch (err) {
+      text.setCustomValidity(err.message);
+      text.reportValidity();
+      return;
+    }
+
+    const tag = select.value;
+    device.scheduleEvent(new RNBO.MessageEvent(RNBO.TimeNow, tag, payload));
+
+    const entry = { tag, text: text.value.trim() };
+    const dup = history.findIndex((h) => h.tag === entry.tag && h.text === entry.text);
+    if (dup >= 0) history.splice(dup, 1);
+    history.unshift(entry);
+    history.length = Math.min(history.length, INPORT_HISTORY_SIZE);
+    recallIndex = -1;
+    renderHistory();
+  });
+}
+
+// ----------------------------
+// Outport console (#rnbo-console)
+// ----------------------------
+const OUTPORT_LOG_SIZE = 500;
+const OUTPORT_MIN_INTERVAL_MS = 50; // per tag; messages closer together are counted, not logged
+const OUTPORT_INTERVAL_OVERRIDES = { playhead: 250 };
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const clockTime = (d) =>
+  `${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}.${String(d.getMilliseconds()).padStart(3, "0")}`;
+
+function downloadJSON(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function attachOutportConsole(device, patcher) {
+  const consoleDiv = document.getElementById("rnbo-console-div");
+  const readout = document.getElementById("rnbo-console-readout");
+  if (!consoleDiv || !readout) return;
+
+  const outports = patcher?.desc?.outports || [];
+  if (!outports.length) {
+    if (consoleDiv.parentNode) consoleDiv.parentNode.removeChild(consoleDiv);
+    return;
+  }
+
+  const noOutportsLabel = document.getElementById("no-outports-label");
+  if (noOutportsLabel && noOutportsLabel.parentNode) noOutportsLabel.parentNode.removeChild(noOutportsLabel);
+
+  const entries = []; // { time (ISO), deviceTime, tag, payload, suppressed }
+  const tagState = new Map(); // tag -> { enabled, lastLogged, suppressed }
+  let isPaused = false;
+
+  outports.forEach(({ tag }) => tagState.set(tag, { enabled: true, lastLogged: -Infinity, suppressed: 0 }));
+
+  // Toolbar: per-tag filters, pause, clear, export
+  const toolbar = document.createElement("div");
+  toolbar.id = "rnbo-console-toolbar";
+
+  const filters = document.createElement("div");
+  filters.className = "console-filters";
+  toolbar.appendChild(filters);
+
+  const renderFilters = () => {
+    filters.innerHTML = "";
+    tagState.forEach((state, tag) => {
+      const label = document.createElement("label");
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.checked = state.enabled;
+      box.addEventListener("change", () => {
+        state.enabled = box.checked;
+        renderLog();
+      });
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(tag));
+      filters.appendChild(label);
+    });
+  };
+
+  const makeButton = (text, onClick) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "smallButton";
+    b.textContent = text;
+    b.addEventListener("click", onClick);
+    toolbar.appendChild(b);
+    return b;
+  };
+
+  const pauseButton = makeButton("Pause", () => {
+    isPaused = !isPaused;
+    pauseButton.textContent = isPaused ? "Resume" : "Pause";
+  });
+
+  makeButton("Clear", () => {
+    entries.length = 0;
+    tagState.forEach((state) => (state.suppressed = 0));
+    renderLog();
+  });
+
+  makeButton("Export JSON", () => {
+    downloadJSON(`rnbo-outports-${Date.now()}.json`, {
+      patcher: patcher?.desc?.meta?.name || null,
+      rnboversion: patcher?.desc?.meta?.rnboversion || null,
+      exportedAt: new Date().toISOString(),
+      rateLimitMs: { default: OUTPORT_MIN_INTERVAL_MS, ...OUTPORT_INTERVAL_OVERRIDES },
+      entries,
+    });
+  });
+
+  consoleDiv.insertBefore(toolbar, readout);
+
+  const log = document.createElement("div");
+  log.id = "rnbo-console-log";
+  consoleDiv.insertBefore(log, readout);
+
+  const formatEntry = (entry) => {
+    const payload = Array.isArray(entry.payload) ? entry.payload.join(" ") : String(entry.payload);
+    const skipped = entry.suppressed ? `  (+${entry.suppressed} suppressed)` : "";
+    return `${clockTime(new Date(entry.time))}  ${entry.tag}: ${payload}${skipped}`;
+  };
+
+  const appendLine = (entry) => {
+    const atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 4;
+    const line = document.createElement("div");
+    line.className = "console-line";
+    line.textContent = formatEntry(entry);
+    log.appendChild(line);
+    while (log.childNodes.length > OUTPORT_LOG_SIZE) log.removeChild(log.firstChild);
+    if (atBottom) log.scrollTop = log.scrollHeight;
+  };
+
+  function renderLog() {
+    log.innerHTML = "";
+    entries.filter((e) => tagState.get(e.tag)?.enabled !== false).forEach(appendLine);
+    readout.style.display = entries.length ? "none" : "";
+  }
+
+  renderFilters();
+
+  device.messageEvent.subscribe((ev) => {
+    if (isPaused) return;
+
+    let state = tagState.get(ev.tag);
+    if (!state) {
+      // Messages on tags the description didn't list still get logged
+      state = { enabled: true, lastLogged: -Infinity, suppressed: 0 };
+      tagState.set(ev.tag, state);
+      renderFilters();
+    }
+
+    const now = performance.now();
+    const minInterval = OUTPORT_INTERVAL_OVERRIDES[ev.tag] ?? OUTPORT_MIN_INTERVAL_MS;
+    if (now - state.lastLogged < minInterval) {
+      state.suppressed++;
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      deviceTime: ev.time,
+      tag: ev.tag,
+      payload: ev.payload,
+      suppressed: state.suppressed,
+    };
+    state.lastLogged = now;
+    state.suppressed = 0;
+
+    entries.push(entry);
+    if (entries.length > OUTPORT_LOG_SIZE) entries.shift();
+
+    readout.style.display = "none";
+    if (state.enabled) appendLine(entry);
+  });
+}
+
+// ----------------------------
+// Preset browser (#rnbo-presets)
+// ----------------------------
+// Factory presets come from the export; user presets are { name, preset }
+// objects kept in localStorage per patcher name.
+function userPresetStorageKey(patcher) {
+  return `rnbo:presets:${patcher?.desc?.meta?.name || "patch"}`;
+}
+
+function loadUserPresets(patcher) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(userPresetStorageKey(patcher)) || "[]");
+    return Array.isArray(stored) ? stored.filter((p) => p && p.name && p.preset) : [];
+  } catch (e) {
+    console.warn("[RNBO] Ignoring unreadable user presets:", e);
+    return [];
+  }
+}
+
+function saveUserPresets(patcher, presets) {
+  try {
+    localStorage.setItem(userPresetStorageKey(patcher), JSON.stringify(presets));
+  } catch (e) {
+    console.warn("[RNBO] Could not store user presets:", e);
+  }
+}
+
+function makePresetBrowser(device, patcher) {
+  const presetDiv = document.getElementById("rnbo-presets");
+  const select = document.getElementById("preset-select");
+  if (!presetDiv || !select) return;
+
+  const noPresetsLabel = document.getElementById("no-presets-label");
+  const factoryPresets = patcher?.presets || [];
+  let userPresets = loadUserPresets(patcher);
+
+  const selected = () => {
+    const [kind, index] = select.value.split(":");
+    const list = kind === "user" ? userPresets : kind === "factory" ? factoryPresets : null;
+    return list && list[Number(index)] ? { kind, index: Number(index), entry: list[Number(index)] } : null;
+  };
+
+  const addGroup = (label, list, kind) => {
+    if (!list.length) return;
+    const group = document.createElement("optgroup");
+    group.label = label;
+    list.forEach((p, i) => {
+      const opt = document.createElement("option");
+      opt.value = `${kind}:${i}`;
+      opt.textContent = p.name || `Preset ${i + 1}`;
+      group.appendChild(opt);
+    });
+    select.appendChild(group);
+  };
+
+  const render = (selectValue) => {
+    select.innerHTML = "";
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "Choose a preset…";
+    select.appendChild(placeholder);
+    addGroup("Factory", factoryPresets, "factory");
+    addGroup("User", userPresets, "user");
+    select.value = selectValue || "";
+
+    const hasAny = factoryPresets.length + userPresets.length > 0;
+    if (noPresetsLabel) noPresetsLabel.style.display = hasAny ? "none" : "";
+    select.style.display = hasAny ? "" : "none";
+    const isUser = selected()?.kind === "user";
+    renameButton.disabled = !isUser;
+    deleteButton.disabled = !isUser;
+    exportButton.disabled = !userPresets.length;
+  };
+
+  const commit = (selectValue) => {
+    saveUserPresets(patcher, userPresets);
+    render(selectValue);
+  };
+
+  select.addEventListener("change", () => {
+    const sel = selected();
+    render(select.value);
+    if (sel) device.setPreset(sel.entry.preset);
+  });
+
+  const actions = document.createElement("div");
+  actions.id = "preset-actions";
+  presetDiv.appendChild(actions);
+
+  const makeButton = (text, onClick) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "smallButton";
+    b.textContent = text;
+    b.addEventListener("click", onClick);
+    actions.appendChild(b);
+    return b;
+  };
+
+  makeButton("Save current…", async () => {
+    const name = window.prompt("Preset name", `User ${userPresets.length + 1}`);
+    if (!name) return;
+    const preset = await device.getPreset();
+    const existing = userPresets.findIndex((p) => p.name === name);
+    if (existing >= 0) {
+      if (!window.confirm(`Replace the user preset "${name}"?`)) return;
+      userPresets[existing] = { name, preset };
+      commit(`user:${existing}`);
+    } else {
+      userPresets.push({ name, preset });
+      commit(`user:${userPresets.length - 1}`);
+    }
+  });
+
+  const renameButton = makeButton("Rename…", () => {
+    const sel = selected();
+    if (!sel || sel.kind !== "user") return;
+    const name = window.prompt("Rename preset", sel.entry.name);
+    if (!name || name === sel.entry.name) return;
+    sel.entry.name = name;
+    commit(select.value);
+  });
+
+  const deleteButton = makeButton("Delete", () => {
+    const sel = selected();
+    if (!sel || sel.kind !== "user") return;
+    if (!window.confirm(`Delete the user preset "${sel.entry.name}"?`)) return;
+    userPresets.splice(sel.index, 1);
+    commit("");
+  });
+
+  const exportButton = makeButton("Export", () => {
+    downloadJSON(`${patcher?.desc?.meta?.name || "patch"}-presets.json`, {
+      patcher: patcher?.desc?.meta?.name || null,
+      presets: userPresets,
+    });
+  });
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = "application/json,.json";
+  fileInput.hidden = true;
+  actions.appendChild(fileInput);
+
+  makeButton("Import…", () => fileInput.click());
+
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      const incoming = (Array.isArray(data) ? data : data?.presets || [])
+        .filter((p) => p && typeof p.name === "string" && p.preset && typeof p.preset === "object");
+      if (!incoming.length) throw new Error("No presets found in file");
+      incoming.forEach((p) => {
+        const existing = userPresets.findIndex((u) => u.name === p.name);
+        if (existing >= 0) userPresets[existing] = { name: p.name, preset: p.preset };
+        else userPresets.push({ name: p.name, preset: p.preset });
+      });
+      commit(select.value);
+    } catch (e) {
+      console.error("[RNBO] Preset import failed:", e);
+      window.alert(`Couldn't import presets from "${file.name}": ${e.message}`);
+    }
+  });
+
+  render("");
+}
+
+// ----------------------------
+// MIDI keyboard (#rnbo-clickable-keyboard) + Web MIDI input
+// ----------------------------
+const KEYBOARD_FIRST_NOTE = 48; // C3
+const KEYBOARD_NUM_KEYS = 25;
+const KEYBOARD_VELOCITY = 100;
+const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+// Computer keys laid out like a piano: bottom row white, row above black
+const COMPUTER_KEY_OFFSETS = {
+  KeyA: 0, KeyW: 1, KeyS: 2, KeyE: 3, KeyD: 4, KeyF: 5, KeyT: 6, KeyG: 7,
+  KeyY: 8, KeyH: 9, KeyU: 10, KeyJ: 11, KeyK: 12, KeyO: 13, KeyL: 14, KeyP: 15, Semicolon: 16,
+};
+
+const noteName = (note) => `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+
+function makeMIDIKeyboard(device) {
+  const mdiv = document.getElementById("rnbo-clickable-keyboard");
+  if (!mdiv || !(device.numMidiInputPorts > 0)) return;
+
+  const noMidiLabel = document.getElementById("no-midi-label");
+  if (noMidiLabel && noMidiLabel.parentNode) noMidiLabel.parentNode.removeChild(noMidiLabel);
+
+  const sendMIDI = (bytes) => {
+    device.scheduleEvent(new RNBO.MIDIEvent(RNBO.TimeNow, 0, bytes));
+  };
+
+  // Keep per-source bookkeeping so pointer, computer keys and hardware
+  // can hold the same note without cutting each other off
+  const holders = new Map(); // note -> Set(source)
+  const keyEls = new Map(); // note -> element
+
+  const hold = (note, source) => {
+    const set = holders.get(note) || new Set();
+    if (set.has(source)) return false;
+    set.add(source);
+    holders.set(note, set);
+    keyEls.get(note)?.classList.add("clicked");
+    return true;
+  };
+
+  // Returns true when the last holder let go
+  const release = (note, source) => {
+    const set = holders.get(note);
+    if (!set || !set.delete(source) || set.size) return false;
+    holders.delete(note);
+    keyEls.get(note)?.classList.remove("clicked");
+    return true;
+  };
+
+  const noteOn = (note, source) => {
+    if (note < 0 || note > 127) return;
+    if (hold(note, source)) sendMIDI([0x90, note, KEYBOARD_VELOCITY]);
+  };
+
+  const noteOff = (note, source) => {
+    if (release(note, source)) sendMIDI([0x80, note, 0]);
+  };
+
+  // On-screen keys (pointer events cover mouse, pen and touch)
+  const keys = document.createElement("div");
+  keys.className = "piano";
+  mdiv.appendChild(keys);
+
+  let pointerDown = false;
+  for (let note = KEYBOARD_FIRST_NOTE; note < KEYBOARD_FIRST_NOTE + KEYBOARD_NUM_KEYS; note++) {
+    const key = document.createElement("div");
+    const isBlack = NOTE_NAMES[note % 12].includes("#");
+    key.className = isBlack ? "piano-key black" : "piano-key white";
+    key.dataset.note = String(note);
+    key.title = noteName(note);
+    if (!isBlack && note % 12 === 0) key.textContent = noteName(note);
+
+    const source = `pointer:${note}`;
+    key.addEventListener("pointerdown", (e) => {
+      e.preventDefault();
+      pointerDown = true;
+      key.releasePointerCapture?.(e.pointerId); // let glissando reach the neighbours
+      noteOn(note, source);
+    });
+    key.addEventListener("pointerenter", () => pointerDown && noteOn(note, source));
+    key.addEventListener("pointerleave", () => noteOff(note, source));
+    key.addEventListener("pointerup", () => noteOff(note, source));
+    key.addEventListener("pointercancel", () => noteOff(note, source));
+
+    keyEls.set(note, key);
+    keys.appendChild(key);
+  }
+  window.addEventListener("pointerup", () => (pointerDown = false));
+
+  // Computer keyboard: A..; play, Z/X shift the octave
+  let octaveShift = 0;
+  const heldComputerKeys = new Map(); // code -> note (so release matches press after an octave change)
+  const isTyping = (el) => el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT");
+
+  document.addEventListener("keydown", (e) => {
+    if (e.repeat || e.metaKey || e.ctrlKey || e.altKey || isTyping(e.target)) return;
+    if (e.code === "KeyZ" || e.code === "KeyX") {
+      octaveShift = clampOctave(octaveShift + (e.code === "KeyZ" ? -1 : 1));
+      return;
+    }
+    const offset = COMPUTER_KEY_OFFSETS[e.code];
+    if (offset === undefined) return;
+    const note = KEYBOARD_FIRST_NOTE + 12 + octaveShift * 12 + offset;
+    heldComputerKeys.set(e.code, note);
+    noteOn(note, `key:${e.code}`);
+  });
+
+  document.addEventListener("keyup", (e) => {
+    const note = heldComputerKeys.get(e.code);
+    if (note === undefined) return;
+    heldComputerKeys.delete(e.code);
+    noteOff(note, `key:${e.code}`);
+  });
+
+  // Keyups never arrive once the page loses focus, so let go of everything
+  // played from this page (MIDI inputs send their own note-offs)
+  const releaseAll = () => {
+    pointerDown = false;
+    heldComputerKeys.clear();
+    for (const [note, set] of [...holders]) {
+      for (const source of [...set]) {
+        if (source.startsWith("key:") || source.startsWith("pointer:")) noteOff(note, source);
+      }
+    }
+  };
+  window.addEventListener("blur", releaseAll);
+  document.addEventListener("visibilitychange", () => document.hidden && releaseAll());
+
+  // Hardware / virtual MIDI input
+  // Bytes are forwarded untouched (channel included); only the key highlight is tracked
+  const handleMIDIBytes = (data, source = "midi") => {
+    const [status, note = 0, velocity = 0] = data;
+    const type = status & 0xf0;
+    if (status >= 0xf8) return; // realtime clock/active sensing spam
+    if (type === 0x90 && velocity > 0) hold(note, source);
+    else if (type === 0x80 || type === 0x90) release(note, source);
+    sendMIDI(Array.from(data));
+  };
+
+  // Debug/test hook: window.__rnboMidiIn([0x90, 60, 100]) behaves like a hardware input
+  window.__rnboMidiIn = (bytes) => handleMIDIBytes(bytes, "virtual");
+
+  setupWebMIDIInput(mdiv, handleMIDIBytes);
+}
+
+function clampOctave(shift) {
+  return Math.max(-3, Math.min(3, shift));
+}
+
+async function setupWebMIDIInput(container, onBytes) {
+  if (!navigator.requestMIDIAccess) return; // Safari, or an insecure context
+
+  const row = document.createElement("div");
+  row.className = "midi-input-row";
+  const label = document.createElement("label");
+  label.textContent = "MIDI input";
+  label.setAttribute("for", "midi-input-select");
+  const select = document.createElement("select");
+  select.id = "midi-input-select";
+  row.appendChild(label);
+  row.appendChild(select);
+  container.appendChild(row);
+
+  let access;
+  try {
+    access = await navigator.requestMIDIAccess();
+  } catch (e) {
+    console.warn("[RNBO] Web MIDI access denied:", e);
+    select.disabled = true;
+    select.innerHTML = `<option>MIDI access denied</option>`;
+    return;
+  }
+
+  const onMessage = (ev) => onBytes(ev.data, "hardware");
+
+  const connect = (id) => {
+    access.inputs.forEach((input) => {
+      const wanted = id === "all" || input.id === id;
+      if (wanted) input.addEventListener("midimessage", onMessage);
+      else input.removeEventListener("midimessage", onMessage);
+    });
+  };
+
+  const render = () => {
+    const previous = select.value || "all";
+    select.innerHTML = "";
+    const none = new Option("None", "none");
+    const all = new Option("All inputs", "all");
+    select.appendChild(none);
+    select.appendChild(all);
+    access.inputs.forEach((input) => select.appendChild(new Option(input.name || input.id, input.id)));
+    select.value = [...select.options].some((o) => o.value === previous) ? previous : "all";
+    connect(select.value);
+  };
+
+  select.addEventListener("change", () => connect(select.value));
+  access.addEventListener("statechange", render);
+  render();
+}
+
+// ----------------------------
+// RNBO runtime loading
+// ----------------------------
+// Tried in order until one defines window.RNBO. "{version}" is replaced with the
+// exported patch's rnboversion. Drop rnbo.min.js into js/vendor/rnbo/<version>/
+// to run offline; set window.RNBO_SCRIPT_SOURCES before app.js to change the order.
+const RNBO_SCRIPT_SOURCES = [
+  "js/vendor/rnbo/{version}/rnbo.min.js",
+  "https://c74-public.nyc3.digitaloceanspaces.com/rnbo/{version}/rnbo.min.js",
+];
+
+function injectScript(src) {
   return new Promise((resolve, reject) => {
     const s = document.createElement("script");
-    s.src = `https://c74-public.nyc3.digitaloceanspaces.com/rnbo/${version}/rnbo.min.js`;
+    s.src = src;
     s.onload = () => resolve();
-    s.onerror = (e) => reject(e);
+    s.onerror = () => {
+      s.remove();
+      reject(new Error(`Failed to load ${src}`));
+    };
     document.head.appendChild(s);
   });
 }
 
+async function loadRNBOScript(version, sources = window.RNBO_SCRIPT_SOURCES || RNBO_SCRIPT_SOURCES) {
+  const tried = [];
+  for (const template of sources) {
+    const src = template.replace(/\{version\}/g, version);
+    try {
+      await injectScript(src);
+      if (window.RNBO) return src;
+      tried.push(`${src} (loaded, but didn't define RNBO)`);
+    } catch (_) {
+      tried.push(src);
+    }
+  }
+
+  const err = new Error(`Couldn't load the RNBO ${version} runtime`);
+  err.header = `Couldn't load the RNBO runtime`;
+  err.description =
+    `The patch was exported with RNBO ${version}, but rnbo.min.js couldn't be loaded from any of: ` +
+    `${tried.join(", ")}. To run offline, copy rnbo.min.js for that version into ` +
+    `js/vendor/rnbo/${version}/.`;
+  throw err;
+}
+
+// Compares <meta name="rnbo-version"> (if the page has one) with the export.
+// Returns a guardrails error context on mismatch, otherwise null.
+function checkRNBOVersionMeta(patcher) {
+  const meta = document.querySelector('meta[name="rnbo-version"]');
+  const exported = patcher?.desc?.meta?.rnboversion;
+  if (!meta || !exported) return null;
+
+  const declared = (meta.getAttribute("content") || "").trim();
+  if (declared === exported) return null;
+
+  return {
+    header: "RNBO version mismatch",
+    description:
+      `This page declares RNBO ${declared || "(empty)"} in <meta name="rnbo-version">, ` +
+      `but the exported patch was built with RNBO ${exported}. Update the meta tag, ` +
+      `or re-export the patch with the matching RNBO version.`,
+  };
+}
+
 // Run after DOM is ready, and catch async errors so they don't become "Uncaught (in promise)"
 (function init() {
   const run = async () => {
@@ -5,6 +5,7 @@
  */
 
 const guardrailsErrors = [];
+const guardrailsWarnings = [];
 
 const displayObtrusiveErrors = (errors) => {
     if (errors.length <= 0) return;
@@ -19,12 +20,13 @@ const displayObtrusiveErrors = (errors) => {
         height: 100%;
         position: absolute;
         top: 0;
+        z-index: 1000;
         flex-direction: column;
         `
     );
 
     errors.forEach(error => {
-        const { header, description } = error;
+        const { header, description, items } = error;
         const container = document.createElement('div');
         container.setAttribute(
             'style',
@@ -55,12 +57,25 @@ const displayObtrusiveErrors = (errors) => {
         column.appendChild(container);
         container.appendChild(h1);
         container.appendChild(explainer);
+
+        if (items && items.length) {
+            const list = document.createElement('ul');
+            list.setAttribute('style', 'margin: 12px 0 0; padding-left: 20px; text-align: left;');
+            items.forEach(item => {
+                const li = document.createElement('li');
+                li.appendChild(document.createTextNode(item));
+                list.appendChild(li);
+            });
+            container.appendChild(list);
+        }
     });
 
-    document.getElementById("rnbo-root").appendChild(column);
+    // Pages other than index.html have neither the root nor the background
+    (document.getElementById("rnbo-root") || document.body).appendChild(column);
 
     const svg = document.getElementById('background');
-    
+    if (!svg) return;
+
     svg.innerHTML =
         `<defs>
             <pattern id="polka-dots" x="0" y="0" width="100" height="100" patternUnits="userSpaceOnUse">
@@ -76,6 +91,53 @@ const displayObtrusiveErrors = (errors) => {
         <rect x="0" y="0" width="100%" height="100%" fill="url(#polka-dots)"></rect>`;
 };
 
+// Warnings leave the page usable: a banner along the top that can be closed
+const displayWarnings = (warnings) => {
+    if (warnings.length <= 0) return;
+
+    const banner = document.createElement('div');
+    banner.setAttribute('style',
+        `position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        z-index: 1000;
+        display: flex;
+        align-items: flex-start;
+        gap: 12px;
+        padding: 10px 16px;
+        background: #F2C94C;
+        color: #333;
+        font-size: 14px;`
+    );
+
+    const text = document.createElement('div');
+    text.setAttribute('style', 'flex: 1;');
+    warnings.forEach(warning => {
+        const line = document.createElement('p');
+        line.setAttribute('style', 'margin: 0 0 4px;');
+        const strong = document.createElement('strong');
+        strong.appendChild(document.createTextNode(warning.header));
+        line.appendChild(strong);
+        line.appendChild(document.createTextNode(` ${warning.description}`));
+        text.appendChild(line);
+    });
+
+    const close = document.createElement('button');
+    close.setAttribute('type', 'button');
+    close.setAttribute('aria-label', 'Dismiss');
+    close.setAttribute('style', 'border: none; background: none; font-size: 18px; cursor: pointer; color: inherit;');
+    close.appendChild(document.createTextNode('\u00d7'));
+    close.addEventListener('click', () => banner.remove());
+
+    banner.appendChild(text);
+    banner.appendChild(close);
+    document.body.appendChild(banner);
+
+    // Shown once; a later guardrails() pass only adds new ones
+    warnings.length = 0;
+};
+
 const checkIfLocationIsFileURL = (errors) => {
     if (window.location.protocol === 'file:') {
         errors.push({
@@ -99,4 +161,14 @@ const guardrails = (errorContext) => {
 
     checkIfLocationIsFileURL(guardrailsErrors);
     displayObtrusiveErrors(guardrailsErrors);
-}
\ No newline at end of file
+    displayWarnings(guardrailsWarnings);
+}
+
+// Queue a problem that shouldn't stop setup. It shows as a banner the next
+// time guardrails() runs, without covering the page like an error does.
+const guardrailsWarn = (errorContext) => {
+    guardrailsWarnings.push(Object.assign({
+        header: `Warning during setup`,
+        description: `${errorContext.error ?? ""}`
+    }, errorContext));
+}
@@ -0,0 +1,65 @@
+// peaks-worker.js
+// Computes multi-resolution min/max waveform peaks off the main thread.
+// Spawned by PlaylistCore.computePeakLevelsAsync (playlist-core.js).
+//
+// In:  { id, channels: Float32Array[], levels: number[] }  (channels transferred)
+// Out: { id, levels: [{ min, max, length }] }  finest level first, or { id, error }
+
+// One pass over the samples for the finest level
+function scanChannels(channels, buckets) {
+  const frames = channels[0].length;
+  const count = Math.max(1, Math.min(buckets, frames));
+  const min = new Float32Array(count);
+  const max = new Float32Array(count);
+  for (const data of channels) {
+    for (let b = 0; b < count; b++) {
+      const start = Math.floor((b * frames) / count);
+      const end = Math.floor(((b + 1) * frames) / count);
+      let lo = min[b];
+      let hi = max[b];
+      for (let i = start; i < end; i++) {
+        const v = data[i];
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+      min[b] = lo;
+      max[b] = hi;
+    }
+  }
+  return { min, max, length: count };
+}
+
+// Coarser levels fold the finer one instead of rescanning the samples
+function foldLevel(fine, buckets) {
+  const count = Math.max(1, Math.min(buckets, fine.length));
+  const min = new Float32Array(count);
+  const max = new Float32Array(count);
+  for (let b = 0; b < count; b++) {
+    const start = Math.floor((b * fine.length) / count);
+    const end = Math.max(start + 1, Math.floor(((b + 1) * fine.length) / count));
+    let lo = 0;
+    let hi = 0;
+    for (let i = start; i < end; i++) {
+      if (fine.min[i] < lo) lo = fine.min[i];
+      if (fine.max[i] > hi) hi = fine.max[i];
+    }
+    min[b] = lo;
+    max[b] = hi;
+  }
+  return { min, max, length: count };
+}
+
+self.onmessage = (e) => {
+  const { id, channels, levels } = e.data;
+  try {
+    const sizes = levels.slice().sort((a, b) => b - a);
+    const out = [scanChannels(channels, sizes[0])];
+    for (let i = 1; i < sizes.length; i++) out.push(foldLevel(out[i - 1], sizes[i]));
+
+    const transfer = [];
+    for (const level of out) transfer.push(level.min.buffer, level.max.buffer);
+    self.postMessage({ id, levels: out }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: String((err && err.message) || err) });
+  }
+};
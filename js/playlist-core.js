@@ -0,0 +1,1636 @@
+// playlist-core.js
+// Helpers shared by the playlist pages (playlist-ui.js, speakspell-ui.js).
+// Load before the page's UI script; everything lives on window.PlaylistCore.
+
+(function () {
+  "use strict";
+
+  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+  // ----------------------------
+  // Gain / volume taper
+  // ----------------------------
+  // The volume faders work in dB. How dB reach the outGain parameter depends on
+  // what the parameter is:
+  //   - unit "dB" (or config gain.unit "dB"): the value is sent as-is, clamped to min/max
+  //   - otherwise it's treated as linear amplitude over its normalized range
+  //     (exponent included); config gain.unity says which value is 0 dB and
+  //     defaults to the maximum, so the fader can never push past full scale.
+  const VOLUME_FLOOR_DB = -60; // bottom of the fader = silence
+
+  const dbToAmp = (db) => Math.pow(10, db / 20);
+  const ampToDb = (amp) => (amp > 0 ? 20 * Math.log10(amp) : -Infinity);
+
+  function toNormalized(p, value) {
+    if (typeof p.convertToNormalizedParameterValue === "function") {
+      return p.convertToNormalizedParameterValue(value);
+    }
+    const span = p.max - p.min;
+    if (!span) return 0;
+    const n = clamp((value - p.min) / span, 0, 1);
+    return p.exponent && p.exponent !== 1 ? Math.pow(n, 1 / p.exponent) : n;
+  }
+
+  function fromNormalized(p, n) {
+    if (typeof p.convertFromNormalizedParameterValue === "function") {
+      return p.convertFromNormalizedParameterValue(n);
+    }
+    const shaped = p.exponent && p.exponent !== 1 ? Math.pow(n, p.exponent) : n;
+    return p.min + (p.max - p.min) * shaped;
+  }
+
+  function createGainTaper(p, options = {}) {
+    const unit = options.unit || "auto";
+    const isDb = unit === "dB" || (unit === "auto" && /^db$/i.test(String(p.unit || "").trim()));
+
+    if (isDb) {
+      const minDb = Math.max(p.min, VOLUME_FLOOR_DB);
+      return {
+        minDb,
+        maxDb: p.max,
+        toParam: (db) => (db <= minDb ? p.min : clamp(db, p.min, p.max)),
+        fromParam: (value) => (value <= minDb ? -Infinity : value),
+        format: formatDb,
+      };
+    }
+
+    const unity = options.unity ?? p.max;
+    const unityNorm = toNormalized(p, clamp(unity, p.min, p.max)) || 1;
+    return {
+      minDb: VOLUME_FLOOR_DB,
+      maxDb: Math.max(0, ampToDb(1 / unityNorm)),
+      toParam: (db) => {
+        if (db <= VOLUME_FLOOR_DB) return p.min;
+        return fromNormalized(p, clamp(unityNorm * dbToAmp(db), 0, 1));
+      },
+      fromParam: (value) => {
+        const db = ampToDb(toNormalized(p, value) / unityNorm);
+        return db <= VOLUME_FLOOR_DB ? -Infinity : db;
+      },
+      format: formatDb,
+    };
+  }
+
+  function formatDb(db) {
+    if (!Number.isFinite(db) || db <= VOLUME_FLOOR_DB) return "-∞ dB";
+    const rounded = Math.round(db * 10) / 10;
+    return `${rounded > 0 ? "+" : ""}${rounded.toFixed(1)} dB`;
+  }
+
+  // ----------------------------
+  // Channel layout for setDataBuffer
+  // ----------------------------
+  // RNBO takes a Float32Array buffer as interleaved frames (L R L R ...).
+  // "channels" picks the layout sent to the device: "source" keeps the file's,
+  // a number forces that many channels. "mix" says how surplus source channels
+  // are folded down: "average" sums them into the kept channels, "first" drops them.
+  function resolveChannelCount(setting, sourceChannels) {
+    const n = Number(setting);
+    return setting === "source" || !Number.isInteger(n) || n < 1 ? sourceChannels : n;
+  }
+
+  function interleaveAudioBuffer(audioBuffer, options = {}) {
+    const srcChannels = audioBuffer.numberOfChannels;
+    const channels = resolveChannelCount(options.channels ?? "source", srcChannels);
+    const mix = options.mix === "first" ? "first" : "average";
+    const frames = audioBuffer.length;
+    const src = [];
+    for (let c = 0; c < srcChannels; c++) src.push(audioBuffer.getChannelData(c));
+
+    // For each output channel, the source channels that feed it
+    const feeds = [];
+    for (let out = 0; out < channels; out++) {
+      if (srcChannels <= channels) {
+        feeds.push([out % srcChannels]); // same layout, or up-mix by repeating
+      } else if (mix === "first") {
+        feeds.push([out]);
+      } else {
+        const group = [];
+        for (let c = out; c < srcChannels; c += channels) group.push(c);
+        feeds.push(group);
+      }
+    }
+
+    const data = new Float32Array(frames * channels);
+    for (let out = 0; out < channels; out++) {
+      const group = feeds[out];
+      const gain = 1 / group.length;
+      for (const c of group) {
+        const ch = src[c];
+        for (let i = 0, j = out; i < frames; i++, j += channels) data[j] += ch[i] * gain;
+      }
+    }
+
+    return { data, channels, sampleRate: audioBuffer.sampleRate };
+  }
+
+  // ----------------------------
+  // Decoding + resampling
+  // ----------------------------
+  // decodeAudioData on a live AudioContext silently resamples to the context
+  // rate and hides the file's own rate. We decode at the native rate instead
+  // (read from the WAV header) and resample explicitly, so every item ends up
+  // at one playback rate and durationMs / jumpto math is exact.
+  //   quality "browser": OfflineAudioContext render (the browser's resampler)
+  //   quality "sinc":    windowed-sinc in JS, band-limited when downsampling
+  //   quality "linear":  linear interpolation (fast, lowest quality)
+  const RESAMPLE_QUALITIES = ["browser", "sinc", "linear"];
+  const SINC_HALF_WIDTH = 16; // taps each side
+
+  // Sample rate from a RIFF/RF64 WAVE "fmt " chunk, or null for anything else
+  function readWavSampleRate(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.byteLength < 12) return null;
+    const tag = (offset) => String.fromCharCode(
+      view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+    if ((tag(0) !== "RIFF" && tag(0) !== "RF64") || tag(8) !== "WAVE") return null;
+
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+      const size = view.getUint32(offset + 4, true);
+      if (tag(offset) === "fmt " && offset + 16 <= view.byteLength) {
+        return view.getUint32(offset + 12, true) || null;
+      }
+      offset += 8 + size + (size & 1);
+    }
+    return null;
+  }
+
+  function resampleChannelLinear(input, ratio, outLength) {
+    const out = new Float32Array(outLength);
+    const last = input.length - 1;
+    for (let i = 0; i < outLength; i++) {
+      const pos = i / ratio;
+      const i0 = Math.floor(pos);
+      const frac = pos - i0;
+      const a = input[Math.min(i0, last)];
+      const b = input[Math.min(i0 + 1, last)];
+      out[i] = a + (b - a) * frac;
+    }
+    return out;
+  }
+
+  function resampleChannelSinc(input, ratio, outLength) {
+    const out = new Float32Array(outLength);
+    const cutoff = Math.min(1, ratio); // low-pass below the new Nyquist when downsampling
+    const half = Math.ceil(SINC_HALF_WIDTH / cutoff);
+    const n = input.length;
+    for (let i = 0; i < outLength; i++) {
+      const pos = i / ratio;
+      const center = Math.floor(pos);
+      let sum = 0;
+      let norm = 0;
+      for (let k = center - half + 1; k <= center + half; k++) {
+        const x = pos - k;
+        const t = x * cutoff;
+        const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+        const w = x / half; // Blackman window over [-half, half]
+        const win = Math.abs(w) >= 1 ? 0 : 0.42 + 0.5 * Math.cos(Math.PI * w) + 0.08 * Math.cos(2 * Math.PI * w);
+        const coeff = sinc * win;
+        norm += coeff;
+        if (k >= 0 && k < n) sum += input[k] * coeff;
+      }
+      out[i] = norm ? sum / norm : 0;
+    }
+    return out;
+  }
+
+  async function resampleAudioBuffer(context, audioBuffer, targetRate, quality = "browser") {
+    const srcRate = audioBuffer.sampleRate;
+    if (srcRate === targetRate) return audioBuffer;
+
+    const channels = audioBuffer.numberOfChannels;
+    const ratio = targetRate / srcRate;
+    const outLength = Math.max(1, Math.round(audioBuffer.length * ratio));
+
+    const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (quality === "browser" && Offline) {
+      const offline = new Offline(channels, outLength, targetRate);
+      const src = offline.createBufferSource();
+      src.buffer = audioBuffer;
+      src.connect(offline.destination);
+      src.start();
+      return offline.startRendering();
+    }
+
+    const resampleChannel = quality === "linear" ? resampleChannelLinear : resampleChannelSinc;
+    const out = context.createBuffer(channels, outLength, targetRate);
+    for (let c = 0; c < channels; c++) {
+      out.copyToChannel(resampleChannel(audioBuffer.getChannelData(c), ratio, outLength), c);
+    }
+    return out;
+  }
+
+  // -> { audioBuffer (at the playback rate), originalSampleRate (null if unknown) }
+  async function decodeAtRate(context, arrayBuffer, options = {}) {
+    const targetRate = Number(options.sampleRate) > 0 ? Number(options.sampleRate) : context.sampleRate;
+    const quality = RESAMPLE_QUALITIES.includes(options.quality) ? options.quality : "browser";
+    const nativeRate = readWavSampleRate(arrayBuffer);
+    const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+
+    if (nativeRate && Offline) {
+      // decodeAudioData detaches its input, so keep a copy for the fallback path
+      const fallbackCopy = arrayBuffer.slice(0);
+      try {
+        const native = await new Offline(1, 1, nativeRate).decodeAudioData(arrayBuffer);
+        const audioBuffer = await resampleAudioBuffer(context, native, targetRate, quality);
+        return { audioBuffer, originalSampleRate: nativeRate };
+      } catch (e) {
+        console.warn("[PlaylistCore] Native-rate decode failed, using the context's decoder:", e);
+        arrayBuffer = fallbackCopy;
+      }
+    }
+
+    // Not a WAV (or no OfflineAudioContext): the browser decides the rate
+    let decoded;
+    try {
+      decoded = await context.decodeAudioData(arrayBuffer);
+    } catch (e) {
+      // decodeAudioData's own errors ("EncodingError", null) don't say what went wrong
+      throw new Error("Unsupported or damaged audio file — this browser couldn't decode it", { cause: e });
+    }
+    const audioBuffer = await resampleAudioBuffer(context, decoded, targetRate, quality);
+    return { audioBuffer, originalSampleRate: nativeRate };
+  }
+
+  const formatKHz = (rate) => (rate / 1000).toFixed(1) + "kHz";
+
+  // "44.1kHz → 48.0kHz", or just the playback rate when nothing changed / unknown
+  function formatRates(originalRate, playbackRate) {
+    if (!originalRate || originalRate === playbackRate) return formatKHz(playbackRate);
+    return `${formatKHz(originalRate)} → ${formatKHz(playbackRate)}`;
+  }
+
+  // ----------------------------
+  // Playlist format
+  // ----------------------------
+  // playlist.json is { "version": 2, "items": [...] }. An item is either a
+  // filename string or an object:
+  //   { "file", "title", "description", "gainDb", "rate", "loop",
+  //     "loopStartMs", "loopEndMs", "tags", "color", "cues" }
+  // Only "file" is required. Version 1 files ({ "items": ["a.wav", ...] }) and
+  // bare arrays of filenames are still accepted.
+  const PLAYLIST_VERSION = 2;
+
+  const ITEM_DEFAULTS = {
+    title: null,
+    description: null,
+    gainDb: 0, // trim on top of the volume fader
+    rate: null, // null = keep the current rate
+    loop: null, // null = keep the current loop state
+    loopStartMs: null,
+    loopEndMs: null,
+    tags: [],
+    color: null,
+    cues: [], // [{ ms, name? }] in time order, at most MAX_CUES
+  };
+
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const isStr = (v) => typeof v === "string" && v.trim() !== "";
+  const MAX_CUES = 10; // one per hot cue key, 1-9 and 0
+  const isCue = (c) => !!c && isNum(c.ms) && c.ms >= 0 && (c.name === undefined || isStr(c.name));
+
+  const ITEM_FIELDS = {
+    title: isStr,
+    description: isStr,
+    gainDb: isNum,
+    rate: isNum,
+    loop: (v) => typeof v === "boolean",
+    loopStartMs: (v) => isNum(v) && v >= 0,
+    loopEndMs: (v) => isNum(v) && v > 0,
+    tags: (v) => Array.isArray(v) && v.every(isStr),
+    color: isStr,
+    cues: (v) => Array.isArray(v) && v.length <= MAX_CUES && v.every(isCue),
+  };
+
+  // Fresh copies, so items never share arrays with the parsed file or each other
+  const copyField = (key, v) => (key === "tags" ? v.slice() : key === "cues" ? sortCues(v.map((c) => ({ ...c }))) : v);
+  const sortCues = (cues) => cues.sort((a, b) => a.ms - b.ms);
+
+  function parsePlaylistItem(entry, index) {
+    if (typeof entry === "string") entry = { file: entry };
+    if (!entry || typeof entry !== "object" || !isStr(entry.file)) {
+      throw new Error(`Playlist item ${index + 1} needs a "file"`);
+    }
+
+    const item = { filename: entry.file, ...ITEM_DEFAULTS, tags: [], cues: [] };
+    for (const [key, valid] of Object.entries(ITEM_FIELDS)) {
+      if (entry[key] === undefined || entry[key] === null) continue;
+      if (valid(entry[key])) item[key] = copyField(key, entry[key]);
+      else console.warn(`[PlaylistCore] Ignoring invalid "${key}" on playlist item ${index + 1} (${entry.file})`);
+    }
+    if (item.loopStartMs !== null && item.loopEndMs !== null && item.loopEndMs <= item.loopStartMs) {
+      console.warn(`[PlaylistCore] Ignoring loop points on playlist item ${index + 1} (${entry.file}): end is before start`);
+      item.loopStartMs = item.loopEndMs = null;
+    }
+    return item;
+  }
+
+  // -> { version, title, items: [{ filename, ...ITEM_DEFAULTS }] }; throws on malformed files
+  function parsePlaylist(json) {
+    const doc = Array.isArray(json) ? { version: 1, items: json } : json;
+    if (!doc || !Array.isArray(doc.items)) {
+      throw new Error('Playlist must be an array of filenames or an object with an "items" array');
+    }
+    const version = doc.version ?? 1;
+    if (version > PLAYLIST_VERSION) {
+      console.warn(`[PlaylistCore] Playlist version ${version} is newer than ${PLAYLIST_VERSION}; unknown fields are ignored`);
+    }
+    return {
+      version,
+      title: isStr(doc.title) ? doc.title : null,
+      items: doc.items.map(parsePlaylistItem),
+    };
+  }
+
+  const displayName = (item) => item.title || item.filename.replace(/\.[^/.]+$/, "");
+
+  const escapeHTML = (s) =>
+    String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+  // item.cues stays in time order, so hot cue n is the nth cue from the start.
+  // Unnamed cues are labelled by that number.
+  const cueLabel = (cue, i) => cue.name || `Cue ${i + 1}`;
+
+  // Adds a cue at ms; -> its index, or -1 when the item already has MAX_CUES
+  function addCue(item, ms, name) {
+    if (item.cues.length >= MAX_CUES) return -1;
+    const cue = { ms: Math.max(0, Math.round(ms)) };
+    if (isStr(name)) cue.name = name.trim();
+    item.cues.push(cue);
+    sortCues(item.cues);
+    return item.cues.indexOf(cue);
+  }
+
+  // Keeps playback between an item's loop points while looping. Call check()
+  // on every playhead update; it jumps back through jump(ms) when the playhead
+  // leaves the region in the direction of play and returns true if it did.
+  // Updates for holdMs after a jump are ignored while the patch catches up.
+  function createLoopRegion({ jump, holdMs = 100 }) {
+    let lastJump = -Infinity;
+    return {
+      check(item, playheadMs, rate) {
+        if (!item || (item.loopStartMs === null && item.loopEndMs === null)) return false;
+        const start = item.loopStartMs ?? 0;
+        const end = item.loopEndMs ?? item.durationMs;
+        const now = performance.now();
+        if (now - lastJump < holdMs) return false;
+
+        const target = rate >= 0 ? (playheadMs >= end ? start : null) : playheadMs <= start ? end : null;
+        if (target === null) return false;
+        lastJump = now;
+        jump(target);
+        return true;
+      },
+      // Where play() should start for the item, or null for the buffer's own start/end
+      startFor(item, rate) {
+        if (!item) return null;
+        return rate >= 0 ? item.loopStartMs : item.loopEndMs;
+      },
+    };
+  }
+
+  // ----------------------------
+  // Local file import
+  // ----------------------------
+  // Dropped or picked files become playlist items with an object URL in
+  // item.url, so they load through the same fetch + decode path as media files.
+  const AUDIO_EXTENSIONS = {
+    wav: "audio/wav",
+    wave: "audio/wav",
+    mp3: "audio/mpeg",
+    ogg: "audio/ogg",
+    oga: "audio/ogg",
+    opus: "audio/ogg; codecs=opus",
+    flac: "audio/flac",
+    m4a: "audio/mp4",
+    aac: "audio/aac",
+    aif: "audio/aiff",
+    aiff: "audio/aiff",
+    webm: "audio/webm",
+    caf: "audio/x-caf",
+  };
+
+  // For <input type="file" accept>
+  const AUDIO_ACCEPT = ["audio/*", ...Object.keys(AUDIO_EXTENSIONS).map((ext) => "." + ext)].join(",");
+
+  let canPlayProbe = null;
+
+  // Why a file can't be imported, or null if the browser should decode it
+  function unsupportedReason(file) {
+    const ext = (file.name.match(/\.([^./]+)$/)?.[1] || "").toLowerCase();
+    const types = [file.type, AUDIO_EXTENSIONS[ext]].filter(Boolean);
+    if (!types.some((t) => t.startsWith("audio/"))) return "not an audio file";
+
+    canPlayProbe = canPlayProbe || document.createElement("audio");
+    if (!types.some((t) => canPlayProbe.canPlayType(t))) {
+      return `this browser can't decode ${ext ? "." + ext : types[0]} files`;
+    }
+    return null;
+  }
+
+  // -> { items, rejected: [{ name, reason }] }
+  function itemsFromFiles(files) {
+    const items = [];
+    const rejected = [];
+    for (const file of files) {
+      const reason = unsupportedReason(file);
+      if (reason) {
+        rejected.push({ name: file.name, reason });
+        continue;
+      }
+      items.push({ ...parsePlaylistItem(file.name, 0), url: URL.createObjectURL(file), local: true, blob: file });
+    }
+    return { items, rejected };
+  }
+
+  // Where an item's audio comes from; absolute paths/URLs (e.g. from an M3U) are used as-is
+  const isAbsolute = (path) => /^([a-z][a-z0-9+.-]*:|\/)/i.test(path);
+  const itemURL = (item, mediaBase) => item.url || (isAbsolute(item.filename) ? item.filename : mediaBase + item.filename);
+
+  // Call when an item leaves the playlist for good
+  function releaseItem(item) {
+    if (item.local && item.url) URL.revokeObjectURL(item.url);
+  }
+
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
+  let pageDropGuarded = false;
+
+  // Calls onFiles(File[]) for files dropped on el; el gets .is-drop-target while
+  // files hover over it. Drops that miss it are swallowed instead of making the
+  // browser navigate away to the file.
+  function attachFileDrop(el, onFiles) {
+    let depth = 0; // dragenter/leave also fire for children
+    el.addEventListener("dragenter", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth++;
+      el.classList.add("is-drop-target");
+    });
+    el.addEventListener("dragover", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "copy";
+    });
+    el.addEventListener("dragleave", (e) => {
+      if (!hasFiles(e)) return;
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) el.classList.remove("is-drop-target");
+    });
+    el.addEventListener("drop", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth = 0;
+      el.classList.remove("is-drop-target");
+      onFiles(Array.from(e.dataTransfer.files));
+    });
+
+    if (!pageDropGuarded) {
+      pageDropGuarded = true;
+      window.addEventListener("dragover", (e) => hasFiles(e) && e.preventDefault());
+      window.addEventListener("drop", (e) => hasFiles(e) && e.preventDefault());
+    }
+  }
+
+  // Text for skipped files, e.g. for a notice next to the playlist
+  function describeRejected(rejected) {
+    return rejected.map(({ name, reason }) => `Skipped ${name}: ${reason}`).join("\n");
+  }
+
+  // ----------------------------
+  // Playlist export / import
+  // ----------------------------
+  // Items go back to the playlist.json entry they came from: a filename, or an
+  // object with only the fields that differ from ITEM_DEFAULTS.
+  function toPlaylistEntry(item) {
+    const entry = { file: item.filename };
+    for (const [key, def] of Object.entries(ITEM_DEFAULTS)) {
+      const v = item[key];
+      if (v === undefined || JSON.stringify(v) === JSON.stringify(def)) continue;
+      entry[key] = Array.isArray(v) ? copyField(key, v) : v;
+    }
+    return Object.keys(entry).length === 1 ? item.filename : entry;
+  }
+
+  const PLAYLIST_FORMATS = {
+    json: { ext: "json", type: "application/json" },
+    m3u: { ext: "m3u", type: "audio/x-mpegurl" },
+    xspf: { ext: "xspf", type: "application/xspf+xml" },
+  };
+
+  const xmlEscape = (s) =>
+    String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+
+  // -> text in the given format. M3U and XSPF only carry file, title,
+  // description and duration; playlist.json keeps every per-item setting.
+  function serializePlaylist(items, format = "json") {
+    if (format === "m3u") {
+      const lines = ["#EXTM3U"];
+      for (const it of items) {
+        const seconds = it.durationMs ? Math.round(it.durationMs / 1000) : -1;
+        lines.push(`#EXTINF:${seconds},${displayName(it)}`, it.filename);
+      }
+      return lines.join("\n") + "\n";
+    }
+    if (format === "xspf") {
+      const tracks = items.map((it) => {
+        const fields = [`<location>${xmlEscape(encodeURI(it.filename))}</location>`];
+        if (it.title) fields.push(`<title>${xmlEscape(it.title)}</title>`);
+        if (it.description) fields.push(`<annotation>${xmlEscape(it.description)}</annotation>`);
+        if (it.durationMs) fields.push(`<duration>${Math.round(it.durationMs)}</duration>`);
+        return `    <track>${fields.join("")}</track>`;
+      });
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        "  <trackList>",
+        ...tracks,
+        "  </trackList>",
+        "</playlist>",
+        "",
+      ].join("\n");
+    }
+    return JSON.stringify({ version: PLAYLIST_VERSION, items: items.map(toPlaylistEntry) }, null, 2) + "\n";
+  }
+
+  function parseM3U(text) {
+    const items = [];
+    let title = null;
+    for (const raw of text.split(/\r?\n/)) {
+      const line = raw.trim();
+      if (!line) continue;
+      if (line.startsWith("#EXTINF:")) {
+        const comma = line.indexOf(",");
+        title = comma >= 0 ? line.slice(comma + 1).trim() || null : null;
+      } else if (!line.startsWith("#")) {
+        items.push(title ? { file: line, title } : line);
+        title = null;
+      }
+    }
+    return { version: PLAYLIST_VERSION, items };
+  }
+
+  function parseXSPF(text) {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length) throw new Error("Not a valid XSPF file");
+    const child = (el, name) => el.getElementsByTagName(name)[0]?.textContent.trim() || null;
+    const items = Array.from(doc.getElementsByTagName("track"))
+      .map((track) => {
+        const location = child(track, "location");
+        if (!location) return null;
+        let file = location;
+        try {
+          file = decodeURI(location);
+        } catch (e) {
+          // keep it encoded
+        }
+        const entry = { file };
+        const title = child(track, "title");
+        const description = child(track, "annotation");
+        if (title) entry.title = title;
+        if (description) entry.description = description;
+        return entry;
+      })
+      .filter(Boolean);
+    return { version: PLAYLIST_VERSION, items };
+  }
+
+  const PLAYLIST_FILE_RE = /\.(json|m3u8?|xspf)$/i;
+  const isPlaylistFile = (file) => PLAYLIST_FILE_RE.test(file.name);
+
+  // Playlist file in any supported format -> parsePlaylist result
+  async function readPlaylistFile(file) {
+    const text = await file.text();
+    const ext = file.name.match(PLAYLIST_FILE_RE)?.[1].toLowerCase();
+    if (ext === "xspf") return parsePlaylist(parseXSPF(text));
+    if (ext === "m3u" || ext === "m3u8") return parsePlaylist(parseM3U(text));
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`${file.name} isn't valid JSON`);
+    }
+    return parsePlaylist(json);
+  }
+
+  function downloadText(filename, text, type = "text/plain") {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // ----------------------------
+  // Saved playlists (IndexedDB)
+  // ----------------------------
+  // The edited playlist (order, imported files, per-item settings) is saved
+  // under a key per source playlist, so each library keeps its own edits.
+  // Imported files are stored as Blobs alongside their entries.
+  const PLAYLIST_DB = "rnbo-playlists";
+  const PLAYLIST_STORE = "playlists";
+  const SAVE_DELAY_MS = 300;
+
+  let dbPromise = null;
+
+  function openPlaylistDB() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) throw new Error("IndexedDB is not available");
+        const req = indexedDB.open(PLAYLIST_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(PLAYLIST_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      dbPromise.catch(() => (dbPromise = null));
+    }
+    return dbPromise;
+  }
+
+  async function withStore(mode, fn) {
+    const db = await openPlaylistDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(PLAYLIST_STORE, mode);
+      const req = fn(tx.objectStore(PLAYLIST_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Short hash (FNV-1a) of a published playlist's JSON. A saved copy records the
+  // one it started from, so the pages can tell when the published file changed.
+  function playlistSignature(json) {
+    const text = JSON.stringify(json);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, "0");
+  }
+
+  // save() is debounced, so call it after every edit. Storage errors are logged,
+  // never thrown: the player keeps working without persistence.
+  // setSource(signature) names the published playlist the edits started from.
+  function createPlaylistStore(key) {
+    let timer = null;
+    let pendingItems = [];
+    let source = null;
+
+    const write = () => {
+      timer = null;
+      const record = {
+        version: PLAYLIST_VERSION,
+        source,
+        savedAt: Date.now(),
+        items: pendingItems.map((it) => {
+          const entry = toPlaylistEntry(it);
+          const obj = typeof entry === "string" ? { file: entry } : entry;
+          return it.local && it.blob ? { ...obj, blob: it.blob } : obj;
+        }),
+      };
+      return withStore("readwrite", (store) => store.put(record, key)).catch((e) =>
+        console.warn("[PlaylistCore] Couldn't save the playlist:", e)
+      );
+    };
+
+    return {
+      // -> parsePlaylist-style { version, source, items } with imported files restored, or null
+      async load() {
+        let record;
+        try {
+          record = await withStore("readonly", (store) => store.get(key));
+        } catch (e) {
+          console.warn("[PlaylistCore] Couldn't read the saved playlist:", e);
+          return null;
+        }
+        if (!record || !Array.isArray(record.items)) return null;
+        const items = record.items.map((entry, i) => {
+          const item = parsePlaylistItem(entry, i);
+          if (entry.blob) Object.assign(item, { url: URL.createObjectURL(entry.blob), local: true, blob: entry.blob });
+          return item;
+        });
+        return { version: record.version, source: record.source ?? null, savedAt: record.savedAt, items };
+      },
+      setSource(signature) {
+        source = signature;
+      },
+      save(items) {
+        pendingItems = items.slice();
+        clearTimeout(timer);
+        timer = setTimeout(write, SAVE_DELAY_MS);
+      },
+      async clear() {
+        clearTimeout(timer);
+        timer = null;
+        try {
+          await withStore("readwrite", (store) => store.delete(key));
+        } catch (e) {
+          console.warn("[PlaylistCore] Couldn't clear the saved playlist:", e);
+        }
+      },
+    };
+  }
+
+  // ----------------------------
+  // Play modes
+  // ----------------------------
+  // What happens when a sample plays out (with the loop toggle off):
+  //   off         stop
+  //   advance     play the next item, stop after the last one
+  //   repeat-all  play the next item, wrapping around
+  //   repeat-one  play the same item again
+  //   shuffle     play every item once in random order, then reshuffle
+  const PLAY_MODES = {
+    off: { label: "Single", short: "ONCE", icon: "\u2192" },
+    advance: { label: "Continue", short: "NEXT", icon: "\u21E5" },
+    "repeat-all": { label: "Repeat all", short: "ALL", icon: "\u27F3" },
+    "repeat-one": { label: "Repeat one", short: "ONE", icon: "\u2460" },
+    shuffle: { label: "Shuffle", short: "SHUF", icon: "\u292E" },
+  };
+  const PLAY_MODE_KEY = "rnbo:playmode";
+
+  function nextPlayMode(mode) {
+    const modes = Object.keys(PLAY_MODES);
+    return modes[(modes.indexOf(mode) + 1) % modes.length];
+  }
+
+  function loadPlayMode() {
+    try {
+      const mode = localStorage.getItem(PLAY_MODE_KEY);
+      return PLAY_MODES[mode] ? mode : "off";
+    } catch (e) {
+      return "off";
+    }
+  }
+
+  function savePlayMode(mode) {
+    try {
+      localStorage.setItem(PLAY_MODE_KEY, mode);
+    } catch (e) {
+      // private mode etc.: the mode just won't stick
+    }
+  }
+
+  // Picks the item that follows `current`, or null to stop. Works on item
+  // objects, so reordering or removing items mid-shuffle is harmless.
+  // manual = the user pressed next/previous rather than the sample ending.
+  function createPlayOrder() {
+    let bag = []; // shuffle: items not yet played this round
+    let history = []; // shuffle: what played before, for previous()
+
+    return {
+      next(mode, list, current, isPlayable, { manual = false } = {}) {
+        const playable = list.filter(isPlayable);
+        if (playable.length === 0) return null;
+        if (mode === "off" && !manual) return null;
+        if (mode === "repeat-one" && !manual && isPlayable(current)) return current;
+
+        if (mode === "shuffle") {
+          bag = bag.filter((it) => it !== current && playable.includes(it));
+          if (bag.length === 0) bag = playable.filter((it) => it !== current);
+          if (bag.length === 0) return current;
+          const [pick] = bag.splice(Math.floor(Math.random() * bag.length), 1);
+          if (current) history.push(current);
+          return pick;
+        }
+
+        const from = list.indexOf(current);
+        for (let n = 1; n <= list.length; n++) {
+          const i = from + n;
+          const wraps = i >= list.length;
+          if (wraps && !manual && mode === "advance") return null;
+          const it = list[i % list.length];
+          if (isPlayable(it)) return it;
+        }
+        return null;
+      },
+
+      previous(mode, list, current, isPlayable) {
+        if (mode === "shuffle") {
+          while (history.length) {
+            const it = history.pop();
+            if (list.includes(it) && isPlayable(it)) return it;
+          }
+        }
+        const from = Math.max(0, list.indexOf(current));
+        for (let n = 1; n <= list.length; n++) {
+          const it = list[(from - n + list.length * n) % list.length];
+          if (isPlayable(it)) return it;
+        }
+        return null;
+      },
+
+      reset() {
+        bag = [];
+        history = [];
+      },
+    };
+  }
+
+  // Spots a sample playing out from successive playhead readings (ms). arm()
+  // on play; update() returns true once when the playhead reaches the end in
+  // the direction of play. The tolerance grows with how far playback moves
+  // between readings, since the last one before the end can land well short
+  // of it. That's measured in time, not position, so seeks don't inflate it.
+  const END_TOLERANCE_MS = 40;
+  const END_TOLERANCE_MAX_MS = 250;
+  const END_ARM_DELAY_MS = 150; // readings from before the start jump landed
+
+  function createEndDetector() {
+    let armed = false;
+    let armedAt = 0;
+    let lastAt = null;
+
+    return {
+      arm() {
+        armed = true;
+        armedAt = performance.now();
+        lastAt = null;
+      },
+      disarm() {
+        armed = false;
+      },
+      update(playheadMs, durationMs, rate) {
+        if (!armed || !(durationMs > 0) || rate === 0) return false;
+        const now = performance.now();
+        if (now - armedAt < END_ARM_DELAY_MS) return false;
+
+        const step = lastAt === null ? 0 : (now - lastAt) * Math.abs(rate);
+        lastAt = now;
+        const tolerance = clamp(step * 1.5, END_TOLERANCE_MS, END_TOLERANCE_MAX_MS);
+        const ended = rate > 0 ? playheadMs >= durationMs - tolerance : playheadMs <= tolerance;
+        if (ended) armed = false;
+        return ended;
+      },
+    };
+  }
+
+  // ----------------------------
+  // Playhead tracking
+  // ----------------------------
+  // The patch reports its position only every so often. For display, the
+  // tracker carries on from the last report along the AudioContext clock at the
+  // current rate. When the next report disagrees, the difference eases out over
+  // DRIFT_EASE_MS instead of snapping, unless it's big enough to be a seek or a
+  // loop wrap. Logic that needs the patch's own word (end detection, loop
+  // points) should keep using the reports themselves.
+  const DRIFT_EASE_MS = 120;
+  const DRIFT_SNAP_MS = 250;
+
+  function createPlayheadTracker({ context }) {
+    let anchorMs = 0; // position at anchorAt
+    let anchorAt = 0; // context time (s)
+    let rate = 1;
+    let running = false;
+    let driftMs = 0; // shown minus reported at the last report; eases to 0
+
+    const now = () => context.currentTime;
+    // Before anchorAt (a start scheduled ahead) the position holds still
+    const extrapolate = (t) => (running ? anchorMs + Math.max(0, t - anchorAt) * 1000 * rate : anchorMs);
+    const shown = (t) => extrapolate(t) + driftMs * Math.max(0, 1 - (Math.max(0, t - anchorAt) * 1000) / DRIFT_EASE_MS);
+
+    function anchor(ms, at) {
+      anchorMs = ms;
+      anchorAt = at;
+      driftMs = 0;
+    }
+
+    return {
+      // timeMs: the report's audio-clock stamp (RNBO event .time), when it has one
+      report(ms, timeMs) {
+        const t = now();
+        const at = Number.isFinite(timeMs) && timeMs > 0 && Math.abs(timeMs / 1000 - t) < 1 ? timeMs / 1000 : t;
+        const was = shown(t);
+        anchor(ms, at);
+        const drift = was - extrapolate(t);
+        if (Math.abs(drift) < DRIFT_SNAP_MS) driftMs = drift;
+      },
+      // A jump we caused (seek, start); at: context time it takes effect
+      jump(ms, at = now()) {
+        anchor(ms, at);
+      },
+      setRate(newRate) {
+        anchor(shown(now()), now());
+        rate = newRate;
+      },
+      start() {
+        running = true;
+      },
+      stop() {
+        anchor(shown(now()), now());
+        running = false;
+      },
+      // -> ms to display, kept within 0..durationMs when that's given
+      position(durationMs) {
+        const ms = shown(now());
+        return durationMs > 0 ? clamp(ms, 0, durationMs) : Math.max(0, ms);
+      },
+    };
+  }
+
+  // ----------------------------
+  // Scrubbing
+  // ----------------------------
+  // Vinyl-style scrubbing: while a drag holds the playhead, the patch plays at
+  // the pointer's velocity, plus a little extra to catch up with the pointer
+  // (the rate param's range runs out long before a quick flick does). When it
+  // falls more than SCRUB_JUMP_MS behind it jumps instead.
+  const SCRUB_SMOOTHING = 0.5; // of the new velocity taken each frame
+  const SCRUB_CATCHUP_MS = 150; // the distance to the pointer is closed over about this long
+  const SCRUB_JUMP_MS = 300;
+
+  function createScrubber({ minRate = -1, maxRate = 2 } = {}) {
+    let lastMs = 0;
+    let velocity = 0;
+
+    return {
+      reset(pointerMs) {
+        lastMs = pointerMs;
+        velocity = 0;
+      },
+      // Once per frame. audioMs: where playback is (a playhead tracker's position)
+      // -> { rate, jumpMs } with jumpMs null unless playback should jump to the pointer
+      update(pointerMs, audioMs, dtMs) {
+        if (dtMs > 0) {
+          velocity += ((pointerMs - lastMs) / dtMs - velocity) * SCRUB_SMOOTHING;
+          lastMs = pointerMs;
+        }
+        const behind = pointerMs - audioMs;
+        if (Math.abs(behind) > SCRUB_JUMP_MS) return { rate: clamp(velocity, minRate, maxRate), jumpMs: pointerMs };
+        return { rate: clamp(velocity + behind / SCRUB_CATCHUP_MS, minRate, maxRate), jumpMs: null };
+      },
+    };
+  }
+
+  // ----------------------------
+  // Decks (gapless / crossfade)
+  // ----------------------------
+  // The export has a single sample buffer, so overwriting it mid-play clicks.
+  // Two device instances ("decks") each get their own gain into `output`: the
+  // next item loads into the idle deck while the active one plays, and the
+  // hand-over is an equal-power crossfade (never shorter than a de-click fade).
+  // With one device everything still works, it just can't overlap.
+  const CLICK_FADE_MS = 15;
+  const FADE_CURVE_STEPS = 64;
+
+  // Fades equalPowerRamp has scheduled, so their value at any time is known:
+  // param -> { curve, start, seconds }
+  const scheduledFades = new WeakMap();
+
+  // Curves are linear between their points, like the Web Audio API's
+  function curveValueAt({ curve, start, seconds }, t) {
+    const pos = clamp((t - start) / seconds, 0, 1) * (curve.length - 1);
+    const k = Math.floor(pos);
+    if (k >= curve.length - 1) return curve[curve.length - 1];
+    return curve[k] + (curve[k + 1] - curve[k]) * (pos - k);
+  }
+
+  function fadeValueAt(param, t) {
+    const fade = scheduledFades.get(param);
+    return fade && t > fade.start ? curveValueAt(fade, t) : param.value;
+  }
+
+  // Drops param's automation from `when` on, holding the value it will have
+  // then, and returns that value. A fade curve that's still running at `when`
+  // has to be cut short too: scheduling anything inside its span throws.
+  // Without cancelAndHoldAtTime (Firefox) the curve is cancelled whole and
+  // what's left of it up to `when` is scheduled again.
+  function holdAt(param, when, now) {
+    const value = fadeValueAt(param, when);
+    const fade = scheduledFades.get(param);
+    scheduledFades.delete(param);
+    if (param.cancelAndHoldAtTime) {
+      param.cancelAndHoldAtTime(when);
+      return value;
+    }
+    if (!fade || when <= fade.start || when >= fade.start + fade.seconds) {
+      param.cancelScheduledValues(when);
+      param.setValueAtTime(value, when);
+      return value;
+    }
+
+    const from = Math.max(fade.start, now);
+    const rest = new Float32Array(FADE_CURVE_STEPS);
+    for (let k = 0; k < FADE_CURVE_STEPS; k++) {
+      rest[k] = curveValueAt(fade, from + ((when - from) * k) / (FADE_CURVE_STEPS - 1));
+    }
+    param.cancelScheduledValues(fade.start);
+    // A curve holds its last value afterwards, so nothing more is needed at `when`
+    if (when - from > 0.001) param.setValueCurveAtTime(rest, from, when - from);
+    else param.setValueAtTime(value, when);
+    return value;
+  }
+
+  // Equal-power ramp of an AudioParam from its value at `when` to 0 or 1
+  function equalPowerRamp(param, target, seconds, when, now) {
+    const from = clamp(holdAt(param, when, now), 0, 1);
+    // Continue along the quarter circle from wherever a previous fade left off
+    const a0 = Math.asin(from);
+    const a1 = target > 0 ? Math.PI / 2 : 0;
+    const curve = new Float32Array(FADE_CURVE_STEPS);
+    for (let k = 0; k < FADE_CURVE_STEPS; k++) {
+      curve[k] = Math.sin(a0 + ((a1 - a0) * k) / (FADE_CURVE_STEPS - 1));
+    }
+    param.setValueCurveAtTime(curve, when, seconds);
+    scheduledFades.set(param, { curve, start: when, seconds });
+  }
+
+  // stopDevice(device) is called once a deck has faded out
+  function createDeckPair({ context, output, devices, stopDevice }) {
+    function makeDeck(device, level) {
+      const gain = context.createGain();
+      gain.gain.value = level;
+      try {
+        device.node.disconnect();
+      } catch (e) {
+        // wasn't connected yet
+      }
+      device.node.connect(gain);
+      gain.connect(output);
+      return { device, gain, item: null, releaseTimer: null };
+    }
+    const decks = devices.map((device, i) => makeDeck(device, i === 0 ? 1 : 0));
+    let activeIndex = 0;
+
+    function halt(deck) {
+      clearTimeout(deck.releaseTimer);
+      deck.releaseTimer = null;
+      const g = deck.gain.gain;
+      holdAt(g, context.currentTime, context.currentTime);
+      g.setValueAtTime(0, context.currentTime);
+      stopDevice(deck.device);
+    }
+
+    return {
+      get dual() {
+        return decks.length > 1;
+      },
+      decks,
+
+      // The second device, when it's made after the first; silent until switched to
+      add(device) {
+        if (decks.length < 2) decks.push(makeDeck(device, 0));
+      },
+      get active() {
+        return decks[activeIndex];
+      },
+      get idle() {
+        return decks[decks.length > 1 ? 1 - activeIndex : activeIndex];
+      },
+
+      // The deck to load into next; if it's still fading out it's stopped now
+      claimIdle() {
+        const deck = this.idle;
+        if (deck !== this.active && deck.releaseTimer !== null) halt(deck);
+        return deck;
+      },
+
+      // Makes deck the one that's heard; `from` (still playing, or null) fades
+      // out. when: context time the fade starts, i.e. when the new deck starts.
+      crossfade(from, ms = 0, when = context.currentTime) {
+        const to = this.active;
+        const seconds = Math.max(ms, CLICK_FADE_MS) / 1000;
+        const start = Math.max(when, context.currentTime);
+        equalPowerRamp(to.gain.gain, 1, seconds, start, context.currentTime);
+        if (!from || from === to) return;
+
+        equalPowerRamp(from.gain.gain, 0, seconds, start, context.currentTime);
+        clearTimeout(from.releaseTimer);
+        from.releaseTimer = setTimeout(() => {
+          from.releaseTimer = null;
+          stopDevice(from.device);
+        }, (start - context.currentTime + seconds) * 1000 + 20);
+      },
+
+      activate(deck) {
+        activeIndex = decks.indexOf(deck);
+      },
+
+      // Silences anything still fading out (e.g. on stop)
+      haltIdle() {
+        const deck = this.idle;
+        if (deck !== this.active && deck.releaseTimer !== null) halt(deck);
+      },
+    };
+  }
+
+  // Crossfade length, adjustable at runtime and remembered like the play mode
+  const CROSSFADE_KEY = "rnbo:crossfade";
+  const MAX_CROSSFADE_MS = 10000;
+
+  function loadCrossfadeMs(fallback = 0) {
+    try {
+      const stored = localStorage.getItem(CROSSFADE_KEY);
+      if (stored !== null && Number.isFinite(Number(stored))) return clamp(Number(stored), 0, MAX_CROSSFADE_MS);
+    } catch (e) {
+      // fall through to the config value
+    }
+    return clamp(Number(fallback) || 0, 0, MAX_CROSSFADE_MS);
+  }
+
+  function saveCrossfadeMs(ms) {
+    try {
+      localStorage.setItem(CROSSFADE_KEY, String(ms));
+    } catch (e) {
+      // private mode etc.
+    }
+  }
+
+  const formatCrossfade = (ms) => (ms > 0 ? `${(ms / 1000).toFixed(1)}s` : "Gapless");
+
+  // ----------------------------
+  // Transport
+  // ----------------------------
+  // Transport commands go out as one ordered batch per call, with no timers in
+  // between. Patches with an inport per transport param (same ids as the
+  // params) get the batch as MessageEvents stamped TRANSPORT_LEAD_MS ahead on
+  // the AudioContext clock, so it lands on an exact sample. Otherwise the params
+  // are set in order within the same tick, and RNBO applies them in that order,
+  // but only as soon as the audio thread gets to them: nothing is timestamped.
+  // The included export has no inports, so it always takes that path; the
+  // audio-clock path needs a patch re-exported with them.
+  const TRANSPORT_PARAMS = ["rate", "jumpto", "playTrig", "stopTrig"];
+  const TRIGGER_PARAMS = new Set(["playTrig", "stopTrig"]);
+  const TRANSPORT_LEAD_MS = 20; // time for scheduled events to reach the audio thread
+  // A trigger stays at 1 this long before going back to 0, so the patch sees
+  // the edge each time (1 and 0 together can land in the same render quantum)
+  const TRIGGER_PULSE_MS = 20;
+
+  // paramFor(name, device) -> RNBO param; idFor(name) -> param/inport id;
+  // inports: the export's inport tags (patcher.desc.inports)
+  function createTransport({ context, paramFor, idFor = (name) => name, inports = [] }) {
+    const tags = new Set(inports);
+    const scheduled =
+      typeof RNBO !== "undefined" && !!RNBO.MessageEvent && TRANSPORT_PARAMS.every((name) => tags.has(idFor(name)));
+
+    return {
+      scheduled,
+      leadMs: scheduled ? TRANSPORT_LEAD_MS : 0,
+
+      // steps: [[name, value], ...], applied in order; triggers take 1 and
+      // go back to 0 afterwards. -> context time (s) the batch takes effect
+      send(device, steps) {
+        if (!scheduled) {
+          for (const [name, value] of steps) {
+            const p = paramFor(name, device);
+            p.value = value;
+            if (TRIGGER_PARAMS.has(name)) setTimeout(() => (p.value = 0), TRIGGER_PULSE_MS);
+          }
+          return context.currentTime;
+        }
+        const whenMs = context.currentTime * 1000 + TRANSPORT_LEAD_MS;
+        for (const [name, value] of steps) {
+          device.scheduleEvent(new RNBO.MessageEvent(whenMs, idFor(name), [value]));
+          if (TRIGGER_PARAMS.has(name)) {
+            device.scheduleEvent(new RNBO.MessageEvent(whenMs + TRIGGER_PULSE_MS, idFor(name), [0]));
+          }
+        }
+        return whenMs / 1000;
+      },
+    };
+  }
+
+  // ----------------------------
+  // Playlist loading queue
+  // ----------------------------
+  // Runs load(item, signal) for at most `concurrency` items at a time and keeps
+  // item.status in "pending" | "loading" | "ready" | "error" (item.error holds
+  // the failure). onChange(item) fires on every transition. cancel() aborts
+  // in-flight fetches and drops the queue; results from a cancelled generation
+  // are ignored, so a replaced playlist can never be written to by the old one.
+  const DEFAULT_LOAD_CONCURRENCY = 4;
+
+  function createLoadQueue({ load, onChange = () => {}, concurrency = DEFAULT_LOAD_CONCURRENCY }) {
+    let controller = new AbortController();
+    let generation = 0;
+    let active = 0;
+    const queue = [];
+
+    const isAbort = (err) => err && err.name === "AbortError";
+
+    function pump() {
+      while (active < concurrency && queue.length) {
+        const item = queue.shift();
+        const gen = generation;
+        const signal = controller.signal;
+        active++;
+        item.status = "loading";
+        item.error = null;
+        onChange(item);
+
+        Promise.resolve()
+          .then(() => load(item, signal))
+          .then(
+            () => {
+              if (gen !== generation) return;
+              item.status = "ready";
+            },
+            (err) => {
+              if (gen !== generation || isAbort(err)) return;
+              item.status = "error";
+              item.error = err;
+            }
+          )
+          .finally(() => {
+            if (gen !== generation) return;
+            active--;
+            onChange(item);
+            pump();
+          });
+      }
+    }
+
+    return {
+      add(items) {
+        items.forEach((item) => {
+          item.status = "pending";
+          item.error = null;
+          queue.push(item);
+          onChange(item);
+        });
+        pump();
+      },
+      // Failed (or never-started) items go to the front of the queue
+      retry(item) {
+        if (item.status === "loading" || item.status === "ready") return;
+        const queued = queue.indexOf(item);
+        if (queued >= 0) queue.splice(queued, 1);
+        item.status = "pending";
+        item.error = null;
+        queue.unshift(item);
+        onChange(item);
+        pump();
+      },
+      cancel() {
+        generation++;
+        controller.abort();
+        controller = new AbortController();
+        queue.length = 0;
+        active = 0;
+      },
+      get pending() {
+        return queue.length + active;
+      },
+    };
+  }
+
+  // ----------------------------
+  // Waveform peaks
+  // ----------------------------
+  // Items keep min/max per bucket instead of the decoded audio, which is all the
+  // waveform views need. Buckets span every channel (a cheap "mono mix").
+  const PEAK_BUCKETS = 2048;
+
+  function computePeaks(audioBuffer, buckets = PEAK_BUCKETS) {
+    const frames = audioBuffer.length;
+    const count = Math.max(1, Math.min(buckets, frames));
+    const min = new Float32Array(count);
+    const max = new Float32Array(count);
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      const data = audioBuffer.getChannelData(c);
+      for (let b = 0; b < count; b++) {
+        const start = Math.floor((b * frames) / count);
+        const end = Math.floor(((b + 1) * frames) / count);
+        let lo = min[b];
+        let hi = max[b];
+        for (let i = start; i < end; i++) {
+          const v = data[i];
+          if (v < lo) lo = v;
+          if (v > hi) hi = v;
+        }
+        min[b] = lo;
+        max[b] = hi;
+      }
+    }
+    return { min, max, length: count };
+  }
+
+  // Min/max over the fraction range [from, to) of the item, for one pixel column
+  function peakRange(peaks, from, to) {
+    const n = peaks.length;
+    const start = clamp(Math.floor(from * n), 0, n - 1);
+    const end = clamp(Math.ceil(to * n), start + 1, n);
+    let lo = 0;
+    let hi = 0;
+    for (let b = start; b < end; b++) {
+      if (peaks.min[b] < lo) lo = peaks.min[b];
+      if (peaks.max[b] > hi) hi = peaks.max[b];
+    }
+    return { min: lo, max: hi };
+  }
+
+  // Multi-resolution peaks: { levels } with the finest level first. Each view
+  // picks the coarsest level that still has a bucket per pixel column.
+  const PEAK_LEVELS = [8192, 2048, 512];
+
+  // Long samples get one more, finer level for the zoomed-in main waveform:
+  // ZOOM_BUCKETS_PER_SECOND of them (5 ms each), capped at MAX_PEAK_BUCKETS
+  const ZOOM_BUCKETS_PER_SECOND = 200;
+  const MAX_PEAK_BUCKETS = 1 << 17;
+
+  function peakLevelsFor(audioBuffer) {
+    const zoomBuckets = Math.min(MAX_PEAK_BUCKETS, Math.round(audioBuffer.duration * ZOOM_BUCKETS_PER_SECOND));
+    return zoomBuckets > PEAK_LEVELS[0] ? [zoomBuckets, ...PEAK_LEVELS] : PEAK_LEVELS;
+  }
+
+  function computePeakLevels(audioBuffer, levels = peakLevelsFor(audioBuffer)) {
+    return { levels: levels.slice().sort((a, b) => b - a).map((n) => computePeaks(audioBuffer, n)) };
+  }
+
+  function pickPeakLevel(peaks, columns) {
+    const { levels } = peaks;
+    for (let i = levels.length - 1; i > 0; i--) {
+      if (levels[i].length >= columns) return levels[i];
+    }
+    return levels[0];
+  }
+
+  // The worker sits next to this script, wherever the page loads it from
+  const PEAKS_WORKER_URL = new URL(
+    "peaks-worker.js",
+    (document.currentScript && document.currentScript.src) || location.href
+  ).href;
+
+  let peaksWorker = null;
+  let peaksWorkerFailed = false;
+  let peaksRequestId = 0;
+  const peaksRequests = new Map(); // id -> { resolve, reject, fallback }
+
+  function getPeaksWorker() {
+    if (peaksWorker || peaksWorkerFailed) return peaksWorker;
+    try {
+      peaksWorker = new Worker(PEAKS_WORKER_URL);
+    } catch (err) {
+      console.warn("[PlaylistCore] Peaks worker unavailable, computing on the main thread:", err);
+      peaksWorkerFailed = true;
+      return null;
+    }
+    peaksWorker.onmessage = (e) => {
+      const { id, levels, error } = e.data;
+      const req = peaksRequests.get(id);
+      if (!req) return;
+      peaksRequests.delete(id);
+      if (error) req.reject(new Error(error));
+      else req.resolve({ levels });
+    };
+    // e.g. the worker script 404s or file:// forbids workers: finish on the main thread
+    peaksWorker.onerror = (e) => {
+      console.warn("[PlaylistCore] Peaks worker failed, computing on the main thread:", e.message || e);
+      peaksWorkerFailed = true;
+      peaksWorker.terminate();
+      peaksWorker = null;
+      for (const req of peaksRequests.values()) req.fallback();
+      peaksRequests.clear();
+    };
+    return peaksWorker;
+  }
+
+  // Same result as computePeakLevels, without blocking the UI thread
+  function computePeakLevelsAsync(audioBuffer, { levels = peakLevelsFor(audioBuffer), signal } = {}) {
+    const worker = getPeaksWorker();
+    if (!worker) return Promise.resolve(computePeakLevels(audioBuffer, levels));
+
+    return new Promise((resolve, reject) => {
+      const id = ++peaksRequestId;
+      const onAbort = () => {
+        if (peaksRequests.delete(id)) reject(new DOMException("Aborted", "AbortError"));
+      };
+      // Settling drops the abort listener, so a long-lived signal doesn't collect them
+      const settle = (fn) => (value) => {
+        signal?.removeEventListener("abort", onAbort);
+        fn(value);
+      };
+      peaksRequests.set(id, {
+        resolve: settle(resolve),
+        reject: settle(reject),
+        fallback: settle(() => resolve(computePeakLevels(audioBuffer, levels))),
+      });
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      // Copies, so the AudioBuffer itself stays usable after the transfer
+      const channels = [];
+      for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        channels.push(new Float32Array(audioBuffer.getChannelData(c)));
+      }
+      worker.postMessage({ id, channels, levels }, channels.map((ch) => ch.buffer));
+    });
+  }
+
+  // Rendered waveforms are cached per peaks object, so redraws (selection,
+  // seeking, resizing back and forth) come down to a single drawImage.
+  const WAVEFORM_IMAGES_PER_ITEM = 4;
+  const waveformImages = new WeakMap(); // peaks -> Map(key -> canvas)
+
+  function createBitmapCanvas(width, height) {
+    if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  // Draws the [from, to) fraction of the item across width x height pixels of
+  // ctx, from the level with at least a bucket per column at that zoom
+  function drawPeaks(ctx, peaks, { from = 0, to = 1, width, height, color }) {
+    const span = to - from;
+    const level = pickPeakLevel(peaks, Math.ceil(width / span));
+    const centerY = height / 2;
+    ctx.fillStyle = color;
+    for (let x = 0; x < width; x++) {
+      const { min, max } = peakRange(level, from + (x / width) * span, from + ((x + 1) / width) * span);
+      const barTop = centerY + min * centerY;
+      const barHeight = Math.max(1, (max - min) * centerY);
+      ctx.fillRect(x, barTop, 1, barHeight);
+    }
+  }
+
+  // Width/height in device pixels; returns a canvas to drawImage from
+  function waveformImage(peaks, width, height, color) {
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+    let images = waveformImages.get(peaks);
+    if (!images) {
+      images = new Map();
+      waveformImages.set(peaks, images);
+    }
+    const key = `${width}x${height}:${color}`;
+    const hit = images.get(key);
+    if (hit) {
+      // Refresh recency
+      images.delete(key);
+      images.set(key, hit);
+      return hit;
+    }
+
+    const image = createBitmapCanvas(width, height);
+    drawPeaks(image.getContext("2d"), peaks, { width, height, color });
+
+    if (images.size >= WAVEFORM_IMAGES_PER_ITEM) images.delete(images.keys().next().value);
+    images.set(key, image);
+    return image;
+  }
+
+  // ----------------------------
+  // Decoded-audio cache (LRU)
+  // ----------------------------
+  // get(item) resolves to the item's AudioBuffer, decoding through
+  // decode(item, signal) on a miss and sharing one in-flight decode per item.
+  // Least-recently-used buffers are dropped once the total passes budgetBytes;
+  // pinned items (the one loaded into the device) are never evicted.
+  const DEFAULT_CACHE_MB = 64;
+
+  const audioBufferBytes = (b) => b.length * b.numberOfChannels * 4;
+
+  function createAudioCache({ decode, budgetBytes = DEFAULT_CACHE_MB * 1024 * 1024 }) {
+    const entries = new Map(); // item -> AudioBuffer, oldest first
+    const inflight = new Map(); // item -> Promise<AudioBuffer>
+    const pinned = new Set();
+    let controller = new AbortController();
+    let generation = 0;
+    let total = 0;
+
+    function evict() {
+      for (const [item, buffer] of entries) {
+        if (total <= budgetBytes) break;
+        if (pinned.has(item)) continue;
+        entries.delete(item);
+        total -= audioBufferBytes(buffer);
+      }
+    }
+
+    function put(item, buffer) {
+      const old = entries.get(item);
+      if (old) {
+        total -= audioBufferBytes(old);
+        entries.delete(item);
+      }
+      entries.set(item, buffer);
+      total += audioBufferBytes(buffer);
+      evict();
+    }
+
+    function get(item) {
+      const hit = entries.get(item);
+      if (hit) {
+        entries.delete(item);
+        entries.set(item, hit); // most recently used
+        return Promise.resolve(hit);
+      }
+      if (inflight.has(item)) return inflight.get(item);
+
+      const gen = generation;
+      const promise = Promise.resolve()
+        .then(() => decode(item, controller.signal))
+        .then((buffer) => {
+          if (gen === generation) put(item, buffer);
+          return buffer;
+        })
+        .finally(() => {
+          if (gen === generation) inflight.delete(item);
+        });
+      inflight.set(item, promise);
+      return promise;
+    }
+
+    return {
+      get,
+      put,
+      has: (item) => entries.has(item),
+      // Warm the cache without caring about the result
+      prefetch(item) {
+        if (item && !entries.has(item)) get(item).catch(() => {});
+      },
+      pin(item) {
+        pinned.clear();
+        if (item) pinned.add(item);
+        evict();
+      },
+      delete(item) {
+        const buffer = entries.get(item);
+        if (buffer) total -= audioBufferBytes(buffer);
+        entries.delete(item);
+        pinned.delete(item);
+      },
+      // Drops everything and aborts in-flight decodes (playlist replaced)
+      clear() {
+        generation++;
+        controller.abort();
+        controller = new AbortController();
+        entries.clear();
+        inflight.clear();
+        pinned.clear();
+        total = 0;
+      },
+      get bytes() {
+        return total;
+      },
+    };
+  }
+
+  window.PlaylistCore = {
+    clamp,
+    VOLUME_FLOOR_DB,
+    dbToAmp,
+    ampToDb,
+    createGainTaper,
+    formatDb,
+    resolveChannelCount,
+    interleaveAudioBuffer,
+    readWavSampleRate,
+    resampleAudioBuffer,
+    decodeAtRate,
+    formatRates,
+    PLAYLIST_VERSION,
+    parsePlaylist,
+    displayName,
+    MAX_CUES,
+    cueLabel,
+    addCue,
+    escapeHTML,
+    createLoopRegion,
+    AUDIO_ACCEPT,
+    itemsFromFiles,
+    itemURL,
+    releaseItem,
+    attachFileDrop,
+    describeRejected,
+    PLAYLIST_FORMATS,
+    toPlaylistEntry,
+    serializePlaylist,
+    isPlaylistFile,
+    readPlaylistFile,
+    downloadText,
+    createPlaylistStore,
+    playlistSignature,
+    PLAY_MODES,
+    nextPlayMode,
+    loadPlayMode,
+    savePlayMode,
+    createPlayOrder,
+    createEndDetector,
+    createPlayheadTracker,
+    createScrubber,
+    createDeckPair,
+    createTransport,
+    MAX_CROSSFADE_MS,
+    loadCrossfadeMs,
+    saveCrossfadeMs,
+    formatCrossfade,
+    createLoadQueue,
+    computePeaks,
+    peakRange,
+    PEAK_LEVELS,
+    peakLevelsFor,
+    computePeakLevels,
+    computePeakLevelsAsync,
+    pickPeakLevel,
+    waveformImage,
+    drawPeaks,
+    createAudioCache,
+  };
+})();
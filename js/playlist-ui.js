@@ -5,19 +5,49 @@
 (function () {
   "use strict";
 
-  const MEDIA_BASE = "export/media/";
-  const PLAYLIST_JSON = MEDIA_BASE + "playlist.json";
-  const BUFFER_ID = "sample";
+  // Defaults; replaced by the config app.js passes to initPlaylistUI
+  let MEDIA_BASE = "export/media/";
+  let PLAYLIST_JSON = MEDIA_BASE + "playlist.json";
+  let BUFFER_ID = "sample";
+  let PARAM_IDS = {}; // UI name -> RNBO param id
+  let gainOptions = {}; // { unit, unity } for the outGain taper
+  let channelOptions = {}; // { channels, mix } for the sample buffer layout
+  let resampleOptions = {}; // { sampleRate, quality } every item is normalized to
 
   let device, context;
 
-  let items = []; // { filename, audioBuffer, durationMs }
+  // { filename, title, description, gainDb, rate, loop, loopStartMs, loopEndMs, tags, color
+  //   (see PlaylistCore.parsePlaylist), url + local for imported files, status, error, originalSampleRate, sampleRate, durationMs, peaks }
+  // status: "pending" | "loading" | "ready" | "error" (see PlaylistCore.createLoadQueue)
+  // Decoded audio lives in audioCache, not on the item.
+  let items = [];
+  let loader = null;
+  let loadConcurrency;
+  let audioCache = null;
+  let cacheOptions = {}; // { budgetMB, prefetch }
   let currentIndex = -1;
+  let playlistStore = null; // saved edits for this PLAYLIST_JSON (IndexedDB)
 
   let isPlaying = false;
   let isLoop = false;
 
   let rate = 1;
+  let volumeTaper = null; // dB <-> outGain, built once the device is known
+  let loopRegion = null; // keeps looping items inside their loop points
+  let playheadMs = 0; // from the playhead outport, or the playhead param if the patch has one
+  let playhead = null; // PlaylistCore.createPlayheadTracker: what the display shows between readings
+  let playMode = "off"; // see PlaylistCore.PLAY_MODES
+  let playOrder = null; // PlaylistCore.createPlayOrder
+  let endDetector = null; // PlaylistCore.createEndDetector
+  let decks = null; // PlaylistCore.createDeckPair; `device` is always decks.active.device
+  let addDeck = null; // () => Promise<device> for the second deck, null once used or unavailable
+  let crossfadeMs = 0; // 0 = gapless
+  let queued = null; // { item, deck, fadeMs } loaded into the idle deck, up next
+  let queueToken = 0;
+  let transitionTimer = null;
+  let fadingFrom = null; // deck the next play() fades out
+  let transport = null; // PlaylistCore.createTransport: rate/jumpto/playTrig/stopTrig
+  const TRANSITION_LOOKAHEAD_MS = 250;
 
   let animationFrameId = null;
   let uiRefs = null; // Store UI references for polling
@@ -39,80 +69,138 @@
     return r.json();
   }
 
-  async function fetchAndDecode(url) {
-    const r = await fetch(url, { cache: "no-store" });
+  // -> { audioBuffer (resampled to the playback rate), originalSampleRate }
+  async function fetchAndDecode(url, signal) {
+    const r = await fetch(url, { cache: "no-store", signal });
     if (!r.ok) throw new Error(`Failed to fetch audio ${url}`);
     const ab = await r.arrayBuffer();
-    return context.decodeAudioData(ab);
+    return PlaylistCore.decodeAtRate(context, ab, resampleOptions);
   }
 
   // ----------------------------
   // Waveform rendering
   // ----------------------------
-  function drawWaveform(canvas, audioBuffer) {
+  function drawWaveform(canvas, peaks, color = "#d8d0ee") { // ui-accent color
     const ctx = canvas.getContext("2d");
-    const width = canvas.width;
-    const height = canvas.height;
-
-    // Clear canvas
-    ctx.clearRect(0, 0, width, height);
-
-    // Get audio data (mono mix if stereo)
-    const channelData = audioBuffer.getChannelData(0);
-    const samples = channelData.length;
-    const samplesPerPixel = Math.floor(samples / width);
-
-    // Draw waveform
-    ctx.fillStyle = "#d8d0ee"; // ui-accent color
-    const centerY = height / 2;
-
-    for (let x = 0; x < width; x++) {
-      const start = x * samplesPerPixel;
-      const end = start + samplesPerPixel;
-
-      // Find min/max in this slice
-      let min = 0, max = 0;
-      for (let i = start; i < end && i < samples; i++) {
-        const val = channelData[i];
-        if (val < min) min = val;
-        if (val > max) max = val;
-      }
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!peaks) return;
 
-      // Draw vertical bar from min to max
-      const barTop = centerY + min * centerY;
-      const barBottom = centerY + max * centerY;
-      const barHeight = Math.max(1, barBottom - barTop);
-
-      ctx.fillRect(x, barTop, 1, barHeight);
-    }
+    // Rendered once per item and size from the precomputed peaks (all channels)
+    ctx.drawImage(PlaylistCore.waveformImage(peaks, canvas.width, canvas.height, color), 0, 0);
   }
 
   // ----------------------------
   // RNBO helpers
   // ----------------------------
-  function param(id) {
+  function param(name, dev = device) {
+    const id = PARAM_IDS[name] || name;
     const p =
-      device.parametersById?.get(id) ||
-      device.parameters?.find((pp) => pp.id === id);
-    if (!p) throw new Error(`Missing RNBO param "${id}"`);
+      dev.parametersById?.get(id) ||
+      dev.parameters?.find((pp) => pp.id === id);
+    if (!p) {
+      throw new Error(id === name ? `Missing RNBO param "${id}"` : `Missing RNBO param "${id}" (mapped from "${name}")`);
+    }
     return p;
   }
 
-  function pulse(p) {
-    p.value = 1;
-    setTimeout(() => (p.value = 0), 20);
+  async function loadIntoRNBO(audioBuffer, dev = device) {
+    // RNBO's setDataBuffer wants interleaved frames plus the channel count and
+    // sample rate; the layout follows config bufferChannels / channelMix
+    const { data, channels, sampleRate } = PlaylistCore.interleaveAudioBuffer(audioBuffer, channelOptions);
+    await dev.setDataBuffer(BUFFER_ID, data, channels, sampleRate);
+  }
+
+  // ----------------------------
+  // Decks (gapless / crossfade)
+  // ----------------------------
+  // Makes deck the one that's heard and controlled, carrying over the transport
+  // settings. If the old deck is playing, the next play() fades it out.
+  function switchDeck(deck) {
+    const from = decks.active;
+    if (deck === from) return;
+    decks.activate(deck);
+    device = deck.device;
+    transport.send(device, [["rate", rate]]);
+    param("loop").value = isLoop ? 1 : 0;
+    applyVolume();
+    fadingFrom = isPlaying ? from : null;
+  }
+
+  function cancelTransition() {
+    clearTimeout(transitionTimer);
+    transitionTimer = null;
+  }
+
+  // The second deck is a whole extra device, so it's only made once items can
+  // overlap: a play mode that chains them, or a crossfade
+  function ensureSecondDeck() {
+    if (!addDeck || !decks || (playMode === "off" && crossfadeMs === 0)) return;
+    const make = addDeck;
+    addDeck = null;
+    make()
+      .then((dev) => {
+        decks.add(dev);
+        queueNext();
+      })
+      .catch((e) => console.warn("[Playlist] Second deck unavailable, items won't overlap:", e));
   }
 
-  async function loadIntoRNBO(audioBuffer) {
-    // RNBO uses setDataBuffer to load audio into external buffers
-    // Pass the Float32Array data, number of channels, and sample rate
-    const channels = audioBuffer.numberOfChannels;
-    const sampleRate = audioBuffer.sampleRate;
+  // Loads whatever the play mode picks next into the idle deck while the
+  // current item plays. Called on play and whenever the answer may change.
+  async function queueNext() {
+    const token = ++queueToken;
+    queued = null;
+    cancelTransition();
+    if (!decks || !decks.dual || !isPlaying || isLoop || playMode === "off") return;
+
+    const next = playOrder.next(playMode, items, items[currentIndex], isReady);
+    if (!next) return;
+    let audioBuffer;
+    try {
+      audioBuffer = await audioCache.get(next);
+    } catch (e) {
+      console.warn(`[Playlist] Couldn't queue "${next.filename}":`, e);
+      return;
+    }
+    if (token !== queueToken) return;
+
+    const deck = decks.claimIdle();
+    if (deck.item !== next) {
+      deck.item = null;
+      await loadIntoRNBO(audioBuffer, deck.device);
+      if (token !== queueToken) return;
+      deck.item = next;
+    }
+    queued = { item: next, deck, fadeMs: crossfadeMs };
+  }
 
-    // For mono, just use channel 0; for stereo, RNBO expects interleaved or we use channel 0
-    const channelData = audioBuffer.getChannelData(0);
+  // Starts the queued item early enough to overlap the end by the crossfade
+  // (or to follow on without a gap). Checked on every playhead reading.
+  function scheduleTransition(it) {
+    if (!queued || transitionTimer !== null || !(it.durationMs > 0) || rate === 0) return;
+    // A fade can't take more than half the item, or the next one would start right away
+    const fadeMs = Math.min(crossfadeMs, it.durationMs / Math.abs(rate) / 2);
+    const remainingMs = (rate > 0 ? it.durationMs - playheadMs : playheadMs) / Math.abs(rate);
+    const startIn = remainingMs - fadeMs - transport.leadMs;
+    if (startIn > TRANSITION_LOOKAHEAD_MS) return;
+    queued.fadeMs = fadeMs;
+    transitionTimer = setTimeout(startQueued, Math.max(0, startIn));
+  }
 
-    await device.setDataBuffer(BUFFER_ID, channelData, channels, sampleRate);
+  function startQueued() {
+    transitionTimer = null;
+    const q = queued;
+    queued = null;
+    if (!q || !isPlaying || !items.includes(q.item)) return;
+
+    endDetector.disarm();
+    switchDeck(q.deck);
+    currentIndex = items.indexOf(q.item);
+    audioCache.pin(q.item);
+    prefetchAround(currentIndex);
+    applyItemSettings(q.item);
+    showItem(q.item);
+    play(q.fadeMs);
   }
 
   // ----------------------------
@@ -127,29 +215,26 @@
         return;
       }
 
-      try {
-        const playheadMs = param("playhead").value;
-        const durationMs = items[currentIndex]?.durationMs || 0;
+      const durationMs = items[currentIndex]?.durationMs || 0;
+      // Extrapolated from the last reading, so it moves every frame
+      const ms = playhead.position(durationMs);
 
-        // Update elapsed time
-        uiRefs.elapsed.textContent = msToTime(playheadMs);
+      // Update elapsed time
+      uiRefs.elapsed.textContent = msToTime(ms);
 
-        // Update remaining time
-        const remaining = Math.max(0, durationMs - playheadMs);
-        uiRefs.remaining.textContent = "-" + msToTime(remaining);
+      // Update remaining time
+      const remaining = Math.max(0, durationMs - ms);
+      uiRefs.remaining.textContent = "-" + msToTime(remaining);
 
-        // Update progress bar
-        if (uiRefs.progressFill && durationMs > 0) {
-          const percent = clamp((playheadMs / durationMs) * 100, 0, 100);
-          uiRefs.progressFill.style.width = percent + "%";
-        }
+      // Update progress bar
+      if (uiRefs.progressFill && durationMs > 0) {
+        const percent = clamp((ms / durationMs) * 100, 0, 100);
+        uiRefs.progressFill.style.width = percent + "%";
+      }
 
-        // Update status
-        if (uiRefs.status) {
-          uiRefs.status.textContent = "Playing";
-        }
-      } catch (e) {
-        // Silently ignore if param not available
+      // Update status
+      if (uiRefs.status) {
+        uiRefs.status.textContent = "Playing";
       }
 
       animationFrameId = requestAnimationFrame(poll);
@@ -158,6 +243,19 @@
     animationFrameId = requestAnimationFrame(poll);
   }
 
+  // Every playhead reading, whichever way it arrives (and even when rAF is
+  // throttled in a background tab): loop points and end-of-sample detection.
+  // timeMs: the reading's audio-clock stamp, when it came as an event
+  function onPlayhead(ms, timeMs) {
+    playheadMs = ms;
+    const it = items[currentIndex];
+    if (!isPlaying || !it) return;
+    playhead.report(ms, timeMs);
+    if (isLoop) loopRegion.check(it, ms, rate);
+    else if (endDetector.update(ms, it.durationMs, rate)) onSampleEnded();
+    else scheduleTransition(it);
+  }
+
   function stopPlayheadPolling() {
     if (animationFrameId) {
       cancelAnimationFrame(animationFrameId);
@@ -185,6 +283,16 @@
               <span class="text-content">RNBO Web Export</span>
             </div>
           </div>
+          <label class="import-btn" title="Add audio files or open a playlist (or drop them on the list)">
+            + Add<input type="file" id="file-input" multiple hidden>
+          </label>
+          <select class="export-select" id="export-format" title="Export the playlist">
+            <option value="">Export…</option>
+            <option value="json">playlist.json</option>
+            <option value="m3u">M3U</option>
+            <option value="xspf">XSPF</option>
+          </select>
+          <button class="reset-btn" id="reset-playlist" title="Discard your edits and reload the original playlist">Reset</button>
           <div class="frame statusbad-5d4ceb33085c">
             <div class="shape text statustex-5d4e6a28b511">
               <span class="text-content" id="status">Ready</span>
@@ -209,13 +317,20 @@
               <span class="text-content">⥁</span>
             </div>
           </div>
+          <div class="frame btnmode" id="mode" role="button">
+            <span class="text-content" data-mode-icon></span>
+            <span class="text-content mode-label" data-mode-label></span>
+          </div>
           <div class="shape frame spacer-5d5725171fa6"></div>
           <div class="frame volrategr-674724106f14">
             <div class="frame volumegro-6745cc1efa78">
               <div class="shape text vollabel-6745cc1efa7a">
                 <span class="text-content">VOL</span>
               </div>
-              <input type="range" class="volslider-6745cc1efa79" id="volume" min="0" max="1" step="0.01" value="0.8">
+              <input type="range" class="volslider-6745cc1efa79" id="volume" min="-60" max="0" step="0.5" value="-2">
+              <div class="shape text voldb">
+                <span class="text-content" id="volume-db">0.0 dB</span>
+              </div>
             </div>
             <div class="frame rategroup-5d578ccde31c">
               <div class="shape text ratelabel-5d57a7a08f21">
@@ -223,6 +338,15 @@
               </div>
               <input type="range" class="rateslide-5d58ab92a121" id="rate" min="-1" max="2" step="0.01" value="1">
             </div>
+            <div class="frame rategroup-5d578ccde31c xfadegroup" id="xfade-group" title="Crossfade between items">
+              <div class="shape text ratelabel-5d57a7a08f21">
+                <span class="text-content">XF</span>
+              </div>
+              <input type="range" class="rateslide-5d58ab92a121" id="xfade" min="0" max="10000" step="50" value="0">
+              <div class="shape text voldb">
+                <span class="text-content" id="xfade-value">Gapless</span>
+              </div>
+            </div>
           </div>
         </div>
 
@@ -243,6 +367,8 @@
         </div>
       </div>
 
+      <div class="import-notice" id="import-notice" title="Click to dismiss" hidden></div>
+
       <!-- Playlist container -->
       <div id="list" class="playlist-scroll"></div>
     `;
@@ -251,14 +377,24 @@
       play: root.querySelector("#play"),
       stop: root.querySelector("#stop"),
       loop: root.querySelector("#loop"),
+      mode: root.querySelector("#mode"),
       rate: root.querySelector("#rate"),
       volume: root.querySelector("#volume"),
+      volumeDb: root.querySelector("#volume-db"),
+      xfadeGroup: root.querySelector("#xfade-group"),
+      xfade: root.querySelector("#xfade"),
+      xfadeValue: root.querySelector("#xfade-value"),
       elapsed: root.querySelector("#elapsed"),
       remaining: root.querySelector("#remaining"),
       status: root.querySelector("#status"),
       progressTrack: root.querySelector("#progress-track"),
       progressFill: root.querySelector("#progress-fill"),
       list: root.querySelector("#list"),
+      fileInput: root.querySelector("#file-input"),
+      exportFormat: root.querySelector("#export-format"),
+      resetPlaylist: root.querySelector("#reset-playlist"),
+      importNotice: root.querySelector("#import-notice"),
+      root,
     };
   }
 
@@ -266,18 +402,48 @@
   // Playback control
   // ----------------------------
   async function selectIndex(i) {
-    if (!items[i]) return;
+    if (!items[i] || items[i].status !== "ready") return;
 
     currentIndex = i;
     const it = items[i];
 
-    await loadIntoRNBO(it.audioBuffer);
+    let audioBuffer;
+    try {
+      audioBuffer = await audioCache.get(it);
+    } catch (e) {
+      console.error(`[Playlist] Failed to decode "${it.filename}":`, e);
+      if (uiRefs && uiRefs.status && currentIndex === i) uiRefs.status.textContent = "Load failed";
+      return;
+    }
+    if (currentIndex !== i) return; // another item was picked while this one decoded
+
+    // Load into the idle deck (unless the item is already queued there), so
+    // whatever is playing keeps going until play() fades over to it
+    queueToken++;
+    queued = null;
+    cancelTransition();
+    const target = decks.claimIdle();
+    if (target.item !== it) {
+      target.item = null;
+      await loadIntoRNBO(audioBuffer, target.device);
+      target.item = it;
+    }
+    if (currentIndex !== i) return;
+
+    switchDeck(target);
+    audioCache.pin(it);
+    prefetchAround(i);
+    applyItemSettings(it);
 
     // Always reset playhead on load
-    const jump = param("jumpto");
-    jump.value = rate < 0 ? it.durationMs - 1 : 0;
+    const startMs = startPosition(it, 1);
+    const when = transport.send(device, [["jumpto", startMs]]);
+    if (!isPlaying) playhead.jump(startMs, when);
+    showItem(it);
+  }
 
-    // Update time display for selected track
+  // Time display, status and list highlight for the selected item
+  function showItem(it) {
     if (uiRefs) {
       uiRefs.elapsed.textContent = "0:00";
       uiRefs.remaining.textContent = "-" + msToTime(it.durationMs);
@@ -294,34 +460,76 @@
     }
 
     // Update active item highlighting
-    updateActiveItem(i);
+    updateActiveItem(currentIndex);
+  }
+
+  // Per-item settings from playlist.json; unset fields leave the current state alone
+  function applyItemSettings(it) {
+    if (!uiRefs) return;
+    if (it.rate !== null) {
+      const pRate = param("rate");
+      rate = clamp(it.rate, pRate.min, pRate.max);
+      playhead.setRate(rate);
+      transport.send(device, [["rate", rate]]);
+      uiRefs.rate.value = rate;
+    }
+    if (it.loop !== null) {
+      isLoop = it.loop;
+      param("loop").value = isLoop ? 1 : 0;
+      uiRefs.loop.classList.toggle("is-on", isLoop);
+    }
+    applyVolume();
+  }
+
+  // Fader level plus the selected item's gain trim
+  function applyVolume() {
+    if (!volumeTaper || !uiRefs.volume) return;
+    const faderDb = Number(uiRefs.volume.value);
+    // The trim never lifts a fader that's all the way down
+    const trimDb = faderDb > volumeTaper.minDb ? items[currentIndex]?.gainDb || 0 : 0;
+    const db = clamp(faderDb + trimDb, volumeTaper.minDb, volumeTaper.maxDb);
+    param("outGain").value = volumeTaper.toParam(db);
   }
 
-  function play() {
+  // Where playback starts: the loop start/end while looping, else the buffer's start/end
+  function startPosition(it, margin) {
+    const fromRegion = isLoop ? loopRegion.startFor(it, rate) : null;
+    if (fromRegion !== null) return fromRegion;
+    return rate < 0 ? it.durationMs - margin : 0;
+  }
+
+  // fadeMs: crossfade from the deck that was playing before (0 = just de-click)
+  function play(fadeMs = 0) {
     if (currentIndex < 0) return;
 
     const it = items[currentIndex];
-    const jump = param("jumpto");
-
-    // CRITICAL: reverse must start at END
-    // Set jump position first
-    if (rate < 0) {
-      jump.value = it.durationMs - 10; // Slightly before end to ensure playback starts
-    } else {
-      jump.value = 0;
-    }
 
-    // Small delay to ensure jump is processed before play trigger
-    setTimeout(() => {
-      pulse(param("playTrig"));
-      isPlaying = true;
-      startPlayheadPolling();
-    }, 10);
+    // CRITICAL: reverse must start at END (slightly before it, so reverse playback starts).
+    // Jump and start go out in one batch, so the jump always lands first.
+    const from = startPosition(it, 10);
+    const when = transport.send(device, [["jumpto", from], ["playTrig", 1]]);
+    decks.crossfade(fadingFrom, fadeMs, when);
+    fadingFrom = null;
+    playhead.jump(from, when);
+    playhead.start();
+    isPlaying = true;
+    endDetector.arm();
+    startPlayheadPolling();
+    // Queue the next item once the old deck has faded out and is free
+    setTimeout(queueNext, fadeMs + 100);
   }
 
   function stop() {
-    pulse(param("stopTrig"));
+    transport.send(device, [["stopTrig", 1]]);
     isPlaying = false;
+    playhead.stop();
+    playhead.jump(0);
+    endDetector.disarm();
+    decks.haltIdle();
+    fadingFrom = null;
+    queueToken++;
+    queued = null;
+    cancelTransition();
     stopPlayheadPolling();
 
     // Reset time display and progress
@@ -342,6 +550,57 @@
     }
   }
 
+  const isReady = (it) => !!it && it.status === "ready";
+
+  async function nextTrack() {
+    const next = playOrder.next(playMode, items, items[currentIndex], isReady, { manual: true });
+    if (!next) return;
+    await selectIndex(items.indexOf(next));
+    if (isPlaying) play();
+  }
+
+  async function prevTrack() {
+    const prev = playOrder.previous(playMode, items, items[currentIndex], isReady);
+    if (!prev) return;
+    await selectIndex(items.indexOf(prev));
+    if (isPlaying) play();
+  }
+
+  // The current sample played out (loop off): continue per the play mode
+  async function onSampleEnded() {
+    if (queued) {
+      cancelTransition();
+      startQueued();
+      return;
+    }
+    const next = playOrder.next(playMode, items, items[currentIndex], isReady);
+    if (!next) {
+      stop();
+      return;
+    }
+    const i = items.indexOf(next);
+    if (i !== currentIndex) await selectIndex(i);
+    play();
+  }
+
+  function setPlayMode(mode) {
+    playMode = mode;
+    PlaylistCore.savePlayMode(mode);
+    playOrder.reset();
+    ensureSecondDeck();
+    if (!uiRefs) return;
+    const { label, icon } = PlaylistCore.PLAY_MODES[mode];
+    uiRefs.mode.querySelector("[data-mode-icon]").textContent = icon;
+    uiRefs.mode.querySelector("[data-mode-label]").textContent = label;
+    uiRefs.mode.title = `Play mode: ${label} (M)`;
+    uiRefs.mode.classList.toggle("is-on", mode !== "off");
+    queueNext();
+  }
+
+  function cyclePlayMode() {
+    setPlayMode(PlaylistCore.nextPlayMode(playMode));
+  }
+
   // Update active item highlighting
   function updateActiveItem(index) {
     if (!uiRefs || !uiRefs.list) return;
@@ -358,38 +617,304 @@
     }
   }
 
+  // ----------------------------
+  // Playlist loading (parallel, per-row status)
+  // ----------------------------
+  async function decodeItem(it, signal) {
+    const { audioBuffer } = await fetchAndDecode(PlaylistCore.itemURL(it, MEDIA_BASE), signal);
+    return audioBuffer;
+  }
+
+  // First load: metadata + peaks stay on the item, the audio goes to the cache
+  async function loadItem(it, signal) {
+    const { audioBuffer, originalSampleRate } = await fetchAndDecode(PlaylistCore.itemURL(it, MEDIA_BASE), signal);
+    it.originalSampleRate = originalSampleRate;
+    it.sampleRate = audioBuffer.sampleRate;
+    it.durationMs = (audioBuffer.length / audioBuffer.sampleRate) * 1000;
+    it.peaks = await PlaylistCore.computePeakLevelsAsync(audioBuffer, { signal });
+    if (!signal.aborted && items.includes(it)) audioCache.put(it, audioBuffer);
+  }
+
+  // Decode the neighbours of the selected item so next/prev start instantly
+  function prefetchAround(i) {
+    const n = cacheOptions.prefetch ?? 1;
+    for (let d = 1; d <= n; d++) {
+      [items[i + d], items[i - d]].forEach((it) => {
+        if (it && it.status === "ready") audioCache.prefetch(it);
+      });
+    }
+  }
+
+  const newItem = (entry) => ({
+    ...entry,
+    status: "pending",
+    error: null,
+    originalSampleRate: null,
+    sampleRate: null,
+    durationMs: 0,
+    peaks: null,
+  });
+
+  // Replaces the whole playlist; anything still loading for the old one is cancelled
+  function loadPlaylist(entries) {
+    loader.cancel();
+    audioCache.clear();
+    items.forEach(PlaylistCore.releaseItem);
+    if (isPlaying) stop();
+    currentIndex = -1;
+
+    items = entries.map(newItem);
+
+    renderList();
+    loader.add(items);
+  }
+
+  // Local files dropped on the playlist or picked with "+ Add". A playlist file
+  // (json/m3u/xspf) replaces the list; audio files are appended to the end.
+  async function importFiles(files) {
+    const playlistFile = files.find(PlaylistCore.isPlaylistFile);
+    if (playlistFile) {
+      try {
+        const playlist = await PlaylistCore.readPlaylistFile(playlistFile);
+        loadPlaylist(playlist.items);
+      } catch (e) {
+        console.error(`[Playlist] Couldn't import ${playlistFile.name}:`, e);
+        showImportNotice(`Couldn't import ${playlistFile.name}: ${e.message}`);
+        return;
+      }
+    }
+
+    const { items: entries, rejected } = PlaylistCore.itemsFromFiles(files.filter((f) => !PlaylistCore.isPlaylistFile(f)));
+    showImportNotice(PlaylistCore.describeRejected(rejected));
+    if (rejected.length) console.warn("[Playlist] Skipped files:", rejected);
+    if (entries.length > 0) {
+      const added = entries.map(newItem);
+      items.push(...added);
+      renderList();
+      loader.add(added);
+    }
+    persist();
+    queueNext();
+  }
+
+  function removeItem(i) {
+    const [it] = items.splice(i, 1);
+    if (!it) return;
+    audioCache.delete(it);
+    PlaylistCore.releaseItem(it);
+
+    if (i === currentIndex) {
+      if (isPlaying) stop();
+      currentIndex = -1;
+    } else if (i < currentIndex) {
+      currentIndex--;
+    }
+    renderList();
+    persist();
+    queueNext();
+  }
+
+  function persist() {
+    if (playlistStore) playlistStore.save(items);
+  }
+
+  function exportPlaylist(format) {
+    const { ext, type } = PlaylistCore.PLAYLIST_FORMATS[format];
+    PlaylistCore.downloadText(`playlist.${ext}`, PlaylistCore.serializePlaylist(items, format), type);
+  }
+
+  // Back to the playlist file as published, dropping the saved edits
+  async function resetPlaylist() {
+    await playlistStore.clear();
+    showImportNotice("");
+    try {
+      const published = await fetchJSON(PLAYLIST_JSON);
+      playlistStore.setSource(PlaylistCore.playlistSignature(published));
+      loadPlaylist(PlaylistCore.parsePlaylist(published).items);
+    } catch (e) {
+      console.error("[Playlist] Failed to reload playlist:", e);
+      if (uiRefs.status) uiRefs.status.textContent = "Playlist error";
+    }
+  }
+
+  function showImportNotice(text) {
+    uiRefs.importNotice.textContent = text;
+    uiRefs.importNotice.hidden = !text;
+  }
+
+  function onItemStatus(it) {
+    const i = items.indexOf(it);
+    if (i < 0) return; // belongs to a replaced playlist
+
+    updateRow(i);
+
+    if (it.status === "error") {
+      console.error(`[Playlist] Failed to load "${it.filename}":`, it.error);
+    }
+
+    // Playable as soon as the first item is ready
+    if (it.status === "ready" && currentIndex < 0) {
+      selectIndex(i);
+    }
+
+    if (uiRefs && uiRefs.status && !isPlaying) {
+      const ready = items.filter((x) => x.status === "ready").length;
+      const failed = items.filter((x) => x.status === "error").length;
+      uiRefs.status.textContent = loader.pending
+        ? `Loading ${ready}/${items.length}`
+        : failed ? `${failed} failed` : "Ready";
+    }
+  }
+
+  function renderList() {
+    uiRefs.list.innerHTML = items
+      .map((it, i) => {
+        const indexStr = String(i + 1).padStart(2, "0");
+        const tooltip = it.description ? ` title="${PlaylistCore.escapeHTML(it.description)}"` : "";
+        return `
+        <div class="frame playlist-it-5d3648fdeb2a${it.color ? " has-color" : ""}" data-i="${i}"${tooltip}>
+          <div class="frame rnboleft-610067288a8f">
+            <div class="shape text rnbodrag-5d392d0942d4">
+              <span class="text-content">≡</span>
+            </div>
+            <div class="frame rnboindex-68bf9c1cef83">
+              <div class="shape text c-01-5d3745f8a4a4">
+                <span class="text-content">${indexStr}</span>
+              </div>
+              <div class="shape rect rectangle-5d370bd3a750"></div>
+            </div>
+          </div>
+          <div class="frame rnboitem-5d382f157a40">
+            <div class="shape text rnboitem-5d387d641a23">
+              <span class="text-content">${PlaylistCore.escapeHTML(PlaylistCore.displayName(it))}</span>
+              <span class="status-badge" data-status></span>
+              <span class="remove-btn" data-remove title="Remove from playlist">×</span>
+            </div>
+            <div class="shape text rnboitem-5d38e411bd37">
+              <span class="text-content" data-meta></span>
+            </div>
+            <div class="frame rnbowavef-60fd0a1350ed">
+              <canvas class="waveform-canvas waveformp-60fe06159afb" data-waveform="${i}" width="400" height="30"></canvas>
+            </div>
+          </div>
+        </div>`;
+      })
+      .join("");
+
+    uiRefs.list.querySelectorAll("[data-i]").forEach((el) => {
+      const i = Number(el.dataset.i);
+      if (items[i].color) el.style.setProperty("--item-color", items[i].color);
+      el.onclick = async (e) => {
+        const it = items[i];
+        if (!it) return;
+        if (e.target.closest("[data-remove]")) {
+          removeItem(i);
+          return;
+        }
+        if (it.status === "error" || e.target.closest(".status-badge")) {
+          loader.retry(it);
+          return;
+        }
+        if (it.status !== "ready") return;
+        window.dispatchEvent(new Event("rnbo:gesture"));
+        await selectIndex(i);
+        play();
+      };
+      updateRow(i);
+    });
+    updateActiveItem(currentIndex);
+  }
+
+  function updateRow(i) {
+    const it = items[i];
+    const el = uiRefs && uiRefs.list.querySelector(`[data-i="${i}"]`);
+    if (!it || !el) return;
+
+    el.classList.toggle("is-loading", it.status === "pending" || it.status === "loading");
+    el.classList.toggle("has-error", it.status === "error");
+
+    const badge = el.querySelector("[data-status]");
+    const meta = el.querySelector("[data-meta]");
+    badge.dataset.status = it.status;
+    badge.textContent =
+      it.status === "error" ? "Retry" : it.status === "ready" ? "" : it.status === "loading" ? "Loading…" : "Queued";
+    badge.title = it.status === "error" ? `${it.error?.message || "Failed to load"} (click to retry)` : "";
+
+    if (it.status === "ready") {
+      meta.textContent =
+        `${msToTime(it.durationMs)} • ` +
+        PlaylistCore.formatRates(it.originalSampleRate, it.sampleRate) +
+        (it.tags.length ? " • " + it.tags.map((t) => "#" + t).join(" ") : "");
+      const canvas = el.querySelector("canvas[data-waveform]");
+      if (canvas) drawWaveform(canvas, it.peaks, it.color || undefined);
+    } else {
+      meta.textContent = it.status === "error" ? "Couldn't load" : "";
+    }
+  }
+
   // ----------------------------
   // Init
   // ----------------------------
-  window.initPlaylistUI = async function (rnboDevice, rnboContext) {
+  // host (from app.js): { output, createDevice() } for the second deck
+  window.initPlaylistUI = async function (rnboDevice, rnboContext, appConfig = {}, host = null) {
     device = rnboDevice;
     context = rnboContext;
+    playOrder = PlaylistCore.createPlayOrder();
+    endDetector = PlaylistCore.createEndDetector();
+
+    if (appConfig.mediaBase) MEDIA_BASE = appConfig.mediaBase;
+    if (appConfig.playlist) PLAYLIST_JSON = appConfig.playlist;
+    if (appConfig.buffer) BUFFER_ID = appConfig.buffer;
+    PARAM_IDS = appConfig.params || {};
+    gainOptions = appConfig.gain || {};
+    channelOptions = { channels: appConfig.bufferChannels, mix: appConfig.channelMix };
+    resampleOptions = { sampleRate: appConfig.sampleRate, quality: appConfig.resampleQuality };
+    loadConcurrency = appConfig.loadConcurrency;
+    cacheOptions = { budgetMB: appConfig.audioCacheMB, prefetch: appConfig.prefetch };
+
+    // Transport commands as scheduled events if the patch has inports for them
+    transport = PlaylistCore.createTransport({
+      context,
+      paramFor: param,
+      idFor: (name) => PARAM_IDS[name] || name,
+      inports: host?.inports,
+    });
+    playhead = PlaylistCore.createPlayheadTracker({ context });
+
+    decks = PlaylistCore.createDeckPair({
+      context,
+      output: host?.output || context.destination,
+      devices: [device],
+      stopDevice: (dev) => transport.send(dev, [["stopTrig", 1]]),
+    });
 
     const ui = buildUI();
     uiRefs = ui; // Store for playhead polling
 
-    // Bind params
-    const pRate = param("rate");
-    const pLoop = param("loop");
+    // Bind params (looked up each time: `device` follows the active deck)
     const pOut = param("outGain");
 
     ui.rate.addEventListener("input", () => {
       const prevRate = rate;
       rate = Number(ui.rate.value);
-      pRate.value = rate;
+      playhead.setRate(rate);
+      cancelTransition();
 
-      // If switching direction while playing, jump to appropriate end
+      // If switching direction while playing, jump to appropriate end (with the rate, in one batch)
+      const steps = [["rate", rate]];
       if (isPlaying && currentIndex >= 0) {
         const it = items[currentIndex];
         // Switching from forward to reverse
         if (prevRate >= 0 && rate < 0) {
-          param("jumpto").value = it.durationMs - 10;
+          steps.push(["jumpto", startPosition(it, 10)]);
         }
         // Switching from reverse to forward
         else if (prevRate < 0 && rate >= 0) {
-          param("jumpto").value = 10;
+          steps.push(["jumpto", startPosition(it, 10) || 10]);
         }
       }
+      const when = transport.send(device, steps);
+      if (steps.length > 1) playhead.jump(steps[1][1], when);
     });
 
     ui.play.onclick = () => {
@@ -404,84 +929,178 @@
     ui.loop.onclick = () => {
       window.dispatchEvent(new Event("rnbo:gesture"));
       isLoop = !isLoop;
-      pLoop.value = isLoop ? 1 : 0;
+      param("loop").value = isLoop ? 1 : 0;
       ui.loop.classList.toggle("is-on", isLoop);
+      queueNext();
     };
 
-    // Volume slider
-    if (ui.volume) {
-      ui.volume.addEventListener("input", () => {
-        const vol = Number(ui.volume.value);
-        // Map 0-1 to outGain range (assuming 0-158 based on earlier info)
-        pOut.value = vol * 158;
+    // Playhead: the patch's outport, or a parameter of the same id; only the active deck counts
+    const playheadId = PARAM_IDS.playhead || "playhead";
+    const watchPlayhead = (dev) => {
+      dev.messageEvent.subscribe((ev) => {
+        if (ev.tag === playheadId && dev === device) onPlayhead(Number(ev.payload), ev.time);
+      });
+      dev.parameterChangeEvent.subscribe((p) => {
+        if (p.id === playheadId && dev === device) onPlayhead(p.value);
       });
-      // Set initial volume
-      pOut.value = Number(ui.volume.value) * 158;
+    };
+    watchPlayhead(device);
+
+    // A second device lets the next item start before this one ends (see ensureSecondDeck)
+    const canOverlap = (appConfig.decks ?? 2) > 1 && !!host?.createDevice;
+    if (canOverlap) {
+      addDeck = async () => {
+        const dev = await host.createDevice();
+        watchPlayhead(dev);
+        return dev;
+      };
     }
 
-    // Load playlist
-    const playlist = await fetchJSON(PLAYLIST_JSON);
+    ui.mode.onclick = cyclePlayMode;
+    setPlayMode(PlaylistCore.loadPlayMode());
+
+    // Crossfade between items (needs the second deck)
+    ui.xfadeGroup.hidden = !canOverlap;
+    ui.xfade.max = PlaylistCore.MAX_CROSSFADE_MS;
+    ui.xfade.value = PlaylistCore.loadCrossfadeMs(appConfig.crossfadeMs);
+    const showCrossfade = () => {
+      crossfadeMs = Number(ui.xfade.value);
+      ui.xfadeValue.textContent = PlaylistCore.formatCrossfade(crossfadeMs);
+      if (queued) queued.fadeMs = crossfadeMs;
+      cancelTransition();
+      ensureSecondDeck();
+    };
+    showCrossfade();
+    ui.xfade.addEventListener("input", () => {
+      showCrossfade();
+      PlaylistCore.saveCrossfadeMs(crossfadeMs);
+    });
+
+    // Shortcuts: Space play/stop, ←/→ previous/next, M play mode
+    document.addEventListener("keydown", (e) => {
+      if (e.target.closest("input, textarea, select, [contenteditable]")) return;
+      switch (e.code) {
+        case "Space":
+          e.preventDefault();
+          window.dispatchEvent(new Event("rnbo:gesture"));
+          if (isPlaying) stop();
+          else play();
+          break;
+        case "ArrowLeft":
+          e.preventDefault();
+          prevTrack();
+          break;
+        case "ArrowRight":
+          e.preventDefault();
+          nextTrack();
+          break;
+        case "KeyM":
+          cyclePlayMode();
+          break;
+      }
+    });
+
+    // Volume slider (dB, tapered to outGain's real range)
+    // The fader shows the level before the selected item's gainDb trim
+    if (ui.volume) {
+      const taper = (volumeTaper = PlaylistCore.createGainTaper(pOut, gainOptions));
+      const showVolume = (db) => {
+        if (ui.volumeDb) ui.volumeDb.textContent = taper.format(db);
+        ui.volume.setAttribute("aria-valuetext", taper.format(db));
+      };
 
-    for (const filename of playlist.items) {
-      const audioBuffer = await fetchAndDecode(MEDIA_BASE + filename);
-      items.push({
-        filename,
-        audioBuffer,
-        durationMs:
-          (audioBuffer.length / audioBuffer.sampleRate) * 1000,
+      ui.volume.min = taper.minDb;
+      ui.volume.max = taper.maxDb;
+      ui.volume.addEventListener("input", () => {
+        applyVolume();
+        showVolume(Number(ui.volume.value));
       });
+
+      // Start from whatever the patch is set to instead of forcing a level
+      const initialDb = taper.fromParam(pOut.value);
+      ui.volume.value = Number.isFinite(initialDb) ? initialDb : taper.minDb;
+      showVolume(initialDb);
     }
 
-    // Render list with Penpot structure
-    ui.list.innerHTML = items
-      .map((it, i) => {
-        const indexStr = String(i + 1).padStart(2, "0");
-        const sampleRate = (it.audioBuffer.sampleRate / 1000).toFixed(1) + "kHz";
-        return `
-        <div class="frame playlist-it-5d3648fdeb2a" data-i="${i}">
-          <div class="frame rnboleft-610067288a8f">
-            <div class="shape text rnbodrag-5d392d0942d4">
-              <span class="text-content">≡</span>
-            </div>
-            <div class="frame rnboindex-68bf9c1cef83">
-              <div class="shape text c-01-5d3745f8a4a4">
-                <span class="text-content">${indexStr}</span>
-              </div>
-              <div class="shape rect rectangle-5d370bd3a750"></div>
-            </div>
-          </div>
-          <div class="frame rnboitem-5d382f157a40">
-            <div class="shape text rnboitem-5d387d641a23">
-              <span class="text-content">${it.filename.replace(/\.[^/.]+$/, "")}</span>
-            </div>
-            <div class="shape text rnboitem-5d38e411bd37">
-              <span class="text-content">${msToTime(it.durationMs)} • ${sampleRate}</span>
-            </div>
-            <div class="frame rnbowavef-60fd0a1350ed">
-              <canvas class="waveform-canvas waveformp-60fe06159afb" data-waveform="${i}" width="400" height="30"></canvas>
-            </div>
-          </div>
-        </div>`;
-      })
-      .join("");
+    // Local files: drop anywhere on the UI, or pick them with "+ Add"
+    PlaylistCore.attachFileDrop(ui.root, importFiles);
+    ui.fileInput.accept = PlaylistCore.AUDIO_ACCEPT;
+    ui.fileInput.addEventListener("change", () => {
+      importFiles(Array.from(ui.fileInput.files));
+      ui.fileInput.value = ""; // so picking the same file again still fires
+    });
+    ui.importNotice.onclick = () => showImportNotice("");
+    ui.fileInput.accept += ",.json,.m3u,.m3u8,.xspf";
 
-    // Draw waveforms after rendering
-    items.forEach((it, i) => {
-      const canvas = ui.list.querySelector(`canvas[data-waveform="${i}"]`);
-      if (canvas) {
-        drawWaveform(canvas, it.audioBuffer);
-      }
+    ui.exportFormat.addEventListener("change", () => {
+      if (ui.exportFormat.value) exportPlaylist(ui.exportFormat.value);
+      ui.exportFormat.value = "";
     });
+    ui.resetPlaylist.onclick = () => resetPlaylist();
 
-    ui.list.querySelectorAll("[data-i]").forEach((el) => {
-      el.onclick = async () => {
-        window.dispatchEvent(new Event("rnbo:gesture"));
-        await selectIndex(Number(el.dataset.i));
-        play();
-      };
+    loopRegion = PlaylistCore.createLoopRegion({
+      jump: (ms) => playhead.jump(ms, transport.send(device, [["jumpto", ms]])),
+    });
+
+    audioCache = PlaylistCore.createAudioCache({
+      decode: decodeItem,
+      budgetBytes: cacheOptions.budgetMB > 0 ? cacheOptions.budgetMB * 1024 * 1024 : undefined,
     });
 
-    // Auto-select first item
-    await selectIndex(0);
+    loader = PlaylistCore.createLoadQueue({
+      load: loadItem,
+      onChange: onItemStatus,
+      concurrency: loadConcurrency,
+    });
+
+    // Saved edits win over the published playlist (Reset goes back to it);
+    // an emptied-out one doesn't. Offline, the saved copy is used as it is.
+    playlistStore = PlaylistCore.createPlaylistStore(`rnbo:playlist:${PLAYLIST_JSON}`);
+    const saved = await playlistStore.load();
+    const hasSaved = !!saved && saved.items.length > 0;
+    let published;
+    try {
+      published = await fetchJSON(PLAYLIST_JSON);
+    } catch (e) {
+      if (!hasSaved) {
+        ui.status.textContent = "Playlist error";
+        throw e;
+      }
+    }
+    if (hasSaved) {
+      playlistStore.setSource(saved.source);
+      if (published !== undefined && saved.source && saved.source !== PlaylistCore.playlistSignature(published)) {
+        showImportNotice("The published playlist has changed since you edited it. Reset loads the new one and discards your edits.");
+      }
+      loadPlaylist(saved.items);
+      return;
+    }
+
+    // Load playlist; rows appear right away and fill in as items decode
+    playlistStore.setSource(PlaylistCore.playlistSignature(published));
+    let playlist;
+    try {
+      playlist = PlaylistCore.parsePlaylist(published);
+    } catch (e) {
+      ui.status.textContent = "Playlist error";
+      throw e;
+    }
+    loadPlaylist(playlist.items);
+  };
+
+  // What this UI needs from the export; app.js checks it before calling initPlaylistUI
+  window.initPlaylistUI.contract = {
+    name: "Playlist UI",
+    root: "playlist-ui",
+    params: {
+      rate: { covers: [-1, 2] },
+      jumpto: { covers: [0, 1] },
+      outGain: {},
+      loop: { covers: [0, 1] },
+      playTrig: { covers: [0, 1] },
+      stopTrig: { covers: [0, 1] },
+      playhead: { optional: true, outport: true, note: "elapsed time, progress and auto-advance won't work" },
+    },
+    buffer: true,
   };
-})();
\ No newline at end of file
+})();
@@ -5,20 +5,56 @@
 (function () {
     "use strict";
 
-    // ---------- Constants ----------
-    const MEDIA_BASE = "export/media/";
-    const PLAYLIST_JSON = MEDIA_BASE + "playlist.json";
-    const BUFFER_ID = "sample";
+    // ---------- Config ----------
+    // Defaults; replaced by the config app.js passes to initPlaylistUI
+    let MEDIA_BASE = "export/media/";
+    let PLAYLIST_JSON = MEDIA_BASE + "playlist.json";
+    let BUFFER_ID = "sample";
+    let PARAM_IDS = {}; // UI name -> RNBO param id (or outport tag for "playhead")
+    let gainOptions = {}; // { unit, unity } for the outGain taper
+    let channelOptions = {}; // { channels, mix } for the sample buffer layout
+    let resampleOptions = {}; // { sampleRate, quality } every item is normalized to
 
     // ---------- State ----------
     let device, context;
-    let items = []; // { filename, audioBuffer, durationMs }
+    // { filename, title, description, gainDb, rate, loop, loopStartMs, loopEndMs, tags, color
+    //   (see PlaylistCore.parsePlaylist), url + local for imported files, status, error, originalSampleRate, sampleRate, durationMs, peaks }
+    // status: "pending" | "loading" | "ready" | "error" (see PlaylistCore.createLoadQueue)
+    // Decoded audio lives in audioCache, not on the item.
+    let items = [];
+    let loader = null;
+    let loadConcurrency;
+    let audioCache = null;
+    let cacheOptions = {}; // { budgetMB, prefetch }
     let currentIndex = -1;
+    let playlistStore = null; // saved edits for this PLAYLIST_JSON (IndexedDB)
     let isPlaying = false;
     let isLoop = false;
     let rate = 1;
+    let volumeTaper = null; // dB <-> outGain, built once the device is known
     let animationFrameId = null;
     let playheadMs = 0; // Received from RNBO outport
+    let playhead = null; // PlaylistCore.createPlayheadTracker: what the display shows between reports
+    let scrubber = null; // PlaylistCore.createScrubber
+    let scrub = null; // { wasPlaying, pointerMs, rate, lastAt, frameId } while a drag is scrubbing
+    let pausedAtMs = null; // where a scrub that began stopped was let go; play() carries on from there
+    let loopRegion = null; // keeps looping items inside their loop points
+    // Main waveform view: [viewStart, viewStart + 1 / zoom) of the item, as fractions
+    let zoom = 1;
+    let viewStart = 0;
+    let followPlayhead = true; // page the view along while playing; manual scrolling pauses it
+    let playMode = "off"; // see PlaylistCore.PLAY_MODES
+    const playOrder = PlaylistCore.createPlayOrder();
+    const endDetector = PlaylistCore.createEndDetector();
+    let decks = null; // PlaylistCore.createDeckPair; `device` is always decks.active.device
+    let addDeck = null; // () => Promise<device> for the second deck, null once used or unavailable
+    let crossfadeMs = 0; // 0 = gapless
+    let queued = null; // { item, deck, fadeMs } loaded into the idle deck, up next
+    let queueToken = 0;
+    let transitionTimer = null;
+    let fadingFrom = null; // deck the next play() fades out
+    let transport = null; // PlaylistCore.createTransport: rate/jumpto/playTrig/stopTrig
+    const TRANSITION_LOOKAHEAD_MS = 250;
     let isInitialized = false; // Prevents auto-play during load
 
     // Spectrum analyzer state
@@ -55,11 +91,14 @@
         currentY: 0
     };
 
+    let dragListenersBound = false;
+
     // ---------- DOM References ----------
     let ui = {};
 
     // ---------- Utilities ----------
     const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+    const VOLUME_KEY_STEP_DB = 1.5;
 
     const msToTime = (ms) => {
         ms = Math.max(0, Math.floor(ms));
@@ -73,102 +112,328 @@
         return r.json();
     }
 
-    async function fetchAndDecode(url) {
-        const r = await fetch(url, { cache: "no-store" });
+    // -> { audioBuffer (resampled to the playback rate), originalSampleRate }
+    async function fetchAndDecode(url, signal) {
+        const r = await fetch(url, { cache: "no-store", signal });
         if (!r.ok) throw new Error(`Failed to fetch audio ${url}`);
         const ab = await r.arrayBuffer();
-        return context.decodeAudioData(ab);
+        return PlaylistCore.decodeAtRate(context, ab, resampleOptions);
     }
 
     // ---------- RNBO Helpers ----------
-    function param(id) {
-        const p =
-            device.parametersById?.get(id) ||
-            device.parameters?.find((pp) => pp.id === id);
-        if (!p) throw new Error(`Missing RNBO param "${id}"`);
+    // null when the patch doesn't have the param
+    function findParam(name, dev = device) {
+        const id = PARAM_IDS[name] || name;
+        return dev.parametersById?.get(id) || dev.parameters?.find((pp) => pp.id === id) || null;
+    }
+
+    function param(name, dev = device) {
+        const id = PARAM_IDS[name] || name;
+        const p = findParam(name, dev);
+        if (!p) {
+            throw new Error(id === name ? `Missing RNBO param "${id}"` : `Missing RNBO param "${id}" (mapped from "${name}")`);
+        }
         return p;
     }
 
-    function pulse(p) {
-        p.value = 1;
-        setTimeout(() => (p.value = 0), 20);
+    async function loadIntoRNBO(audioBuffer, dev = device) {
+        // Interleaved frames, laid out per config bufferChannels / channelMix
+        const { data, channels, sampleRate } = PlaylistCore.interleaveAudioBuffer(audioBuffer, channelOptions);
+        await dev.setDataBuffer(BUFFER_ID, data, channels, sampleRate);
     }
 
-    async function loadIntoRNBO(audioBuffer) {
-        const channels = audioBuffer.numberOfChannels;
-        const sampleRate = audioBuffer.sampleRate;
-        const channelData = audioBuffer.getChannelData(0);
-        await device.setDataBuffer(BUFFER_ID, channelData, channels, sampleRate);
+    // ---------- Decks ----------
+    // Makes deck the one that's heard and controlled, carrying over the
+    // transport settings. If the old deck is playing, the next play() fades it out.
+    function switchDeck(deck) {
+        const from = decks.active;
+        if (deck === from) return;
+        decks.activate(deck);
+        device = deck.device;
+        transport.send(device, [["rate", rate]]);
+        param("loop").value = isLoop ? 1 : 0;
+        updateVolume(parseFloat(ui.volumeSlider.value));
+        fadingFrom = isPlaying ? from : null;
     }
 
-    // ---------- Waveform Rendering ----------
-    function drawWaveform(canvas, audioBuffer, options = {}) {
-        const ctx = canvas.getContext("2d");
-        const { playedRatio = 0, isMain = false, logicalWidth = 0, logicalHeight = 0 } = options;
+    function cancelTransition() {
+        clearTimeout(transitionTimer);
+        transitionTimer = null;
+    }
 
-        // Use logical dimensions if provided (for high-DPI main waveform), otherwise use canvas dimensions
-        const width = logicalWidth || canvas.width;
-        const height = logicalHeight || canvas.height;
+    // The second deck is a whole extra device, so it's only made once items can
+    // overlap: a play mode that chains them, or a crossfade
+    function ensureSecondDeck() {
+        if (!addDeck || !decks || (playMode === "off" && crossfadeMs === 0)) return;
+        const make = addDeck;
+        addDeck = null;
+        make()
+            .then((dev) => {
+                decks.add(dev);
+                queueNext();
+            })
+            .catch((e) => console.warn("[SpeakSpell] Second deck unavailable, items won't overlap:", e));
+    }
 
-        // Clear using actual canvas dimensions
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    // Loads whatever the play mode picks next into the idle deck while the
+    // current item plays. Called on play and whenever the answer may change.
+    async function queueNext() {
+        const token = ++queueToken;
+        queued = null;
+        cancelTransition();
+        if (!decks || !decks.dual || !isPlaying || isLoop || playMode === "off") return;
+
+        const next = playOrder.next(playMode, items, items[currentIndex], isReady);
+        if (!next) return;
+        let audioBuffer;
+        try {
+            audioBuffer = await audioCache.get(next);
+        } catch (e) {
+            console.warn(`[SpeakSpell] Couldn't queue "${next.filename}":`, e);
+            return;
+        }
+        if (token !== queueToken) return;
+
+        const deck = decks.claimIdle();
+        if (deck.item !== next) {
+            deck.item = null;
+            await loadIntoRNBO(audioBuffer, deck.device);
+            if (token !== queueToken) return;
+            deck.item = next;
+        }
+        queued = { item: next, deck, fadeMs: crossfadeMs };
+    }
 
-        // Get audio data
-        const channelData = audioBuffer.getChannelData(0);
-        const samples = channelData.length;
-        const samplesPerPixel = Math.floor(samples / width);
+    // Starts the queued item early enough to overlap the end by the crossfade
+    // (or to follow on without a gap). Checked on every playhead reading.
+    function scheduleTransition(it) {
+        if (!queued || transitionTimer !== null || !(it.durationMs > 0) || rate === 0) return;
+        // A fade can't take more than half the item, or the next one would start right away
+        const fadeMs = Math.min(crossfadeMs, it.durationMs / Math.abs(rate) / 2);
+        const remainingMs = (rate > 0 ? it.durationMs - playheadMs : playheadMs) / Math.abs(rate);
+        const startIn = remainingMs - fadeMs - transport.leadMs;
+        if (startIn > TRANSITION_LOOKAHEAD_MS) return;
+        queued.fadeMs = fadeMs;
+        transitionTimer = setTimeout(startQueued, Math.max(0, startIn));
+    }
 
-        const centerY = height / 2;
+    function startQueued() {
+        transitionTimer = null;
+        const q = queued;
+        queued = null;
+        if (!q || !isPlaying || !items.includes(q.item)) return;
+
+        endDetector.disarm();
+        switchDeck(q.deck);
+        currentIndex = items.indexOf(q.item);
+        audioCache.pin(q.item);
+        prefetchAround(currentIndex);
+        applyItemSettings(q.item);
+        showItem(q.item);
+        play(q.fadeMs);
+    }
 
-        // Colors
-        const playedColor = "#00F5D4"; // VFD glow
-        const unplayedColor = "#1A5C52"; // VFD dim
+    // ---------- Waveform Rendering ----------
+    const PLAYED_COLOR = "#00F5D4"; // VFD glow
+    const UNPLAYED_COLOR = "#1A5C52"; // VFD dim
 
-        for (let x = 0; x < width; x++) {
-            const start = x * samplesPerPixel;
-            const end = start + samplesPerPixel;
+    function drawWaveform(canvas, peaks) {
+        const ctx = canvas.getContext("2d");
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!peaks) return;
+        ctx.drawImage(PlaylistCore.waveformImage(peaks, canvas.width, canvas.height, UNPLAYED_COLOR), 0, 0);
+    }
+
+    // The main display is two layers drawn once per track/size/view: the dim
+    // waveform, and the glowing one inside #main-waveform-played, whose width is
+    // the played portion. Moving the playhead is then just a style change.
+    function renderMainWaveform() {
+        const it = items[currentIndex];
+        const logicalWidth = ui.mainWaveformContainer.clientWidth;
+        const logicalHeight = ui.mainWaveformContainer.clientHeight;
 
-            // Find min/max in this slice
-            let min = 0, max = 0;
-            for (let i = start; i < end && i < samples; i++) {
-                const val = channelData[i];
-                if (val < min) min = val;
-                if (val > max) max = val;
+        for (const [canvas, color] of [[ui.mainWaveform, UNPLAYED_COLOR], [ui.mainWaveformPlayed, PLAYED_COLOR]]) {
+            const ctx = canvas.getContext("2d");
+            ctx.clearRect(0, 0, logicalWidth, logicalHeight);
+            if (!it || !it.peaks) continue;
+            if (zoom === 1) {
+                const image = PlaylistCore.waveformImage(it.peaks, canvas.width, canvas.height, color);
+                ctx.drawImage(image, 0, 0, logicalWidth, logicalHeight);
+            } else {
+                // Zoomed views change too often to cache; draw the window in device pixels
+                ctx.save();
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                PlaylistCore.drawPeaks(ctx, it.peaks, {
+                    from: viewStart,
+                    to: viewStart + viewSpan(),
+                    width: canvas.width,
+                    height: canvas.height,
+                    color
+                });
+                ctx.restore();
             }
+        }
+        renderMinimap();
+    }
 
-            // Determine color based on playhead position
-            const ratio = x / width;
-            ctx.fillStyle = ratio < playedRatio ? playedColor : unplayedColor;
+    function setPlayedRatio(ratio) {
+        const x = viewX(ratio);
+        ui.mainWaveformPlayedClip.style.width = (clamp(x, 0, 1) * 100) + "%";
+        ui.playheadLine.style.left = `${clamp(x, 0, 1) * ui.mainWaveformContainer.clientWidth}px`;
+        ui.playheadLine.style.visibility = x >= 0 && x <= 1 ? "" : "hidden";
+        ui.minimapPlayhead.style.left = (ratio * 100) + "%";
+    }
 
-            // Draw vertical bar
-            const barTop = centerY + min * centerY;
-            const barBottom = centerY + max * centerY;
-            const barHeight = Math.max(1, barBottom - barTop);
-            ctx.fillRect(x, barTop, 1, barHeight);
-        }
+    // Displayed position, smoothed along the audio clock
+    function shownMs() {
+        return playhead.position(items[currentIndex]?.durationMs || 0);
+    }
+
+    function playheadRatio() {
+        const durationMs = items[currentIndex]?.durationMs || 0;
+        return durationMs > 0 ? clamp(shownMs() / durationMs, 0, 1) : 0;
     }
 
     function drawMainWaveformWithPlayhead() {
         if (currentIndex < 0 || !items[currentIndex]) return;
 
+        const ratio = playheadRatio();
+        // Page the zoomed view along once the playhead runs off it, keeping a
+        // little of what just played in view
+        const x = viewX(ratio);
+        if (isPlaying && followPlayhead && zoom > 1 && (x < 0 || x > 1)) {
+            setView(zoom, rate >= 0 ? ratio - 0.05 * viewSpan() : ratio - 0.95 * viewSpan());
+            return;
+        }
+        setPlayedRatio(ratio);
+    }
+
+    // ---------- Zoom & Scroll ----------
+    // Wheel zooms around the pointer (shift-wheel or a sideways swipe scrolls),
+    // two fingers pinch and pan, and the minimap below scrolls the view.
+    const ZOOM_KEY_STEP = 2;
+
+    const viewSpan = () => 1 / zoom;
+
+    // Fraction of the item -> 0..1 across the display (outside that when off-screen)
+    const viewX = (ratio) => (ratio - viewStart) * zoom;
+
+    function ratioAtClientX(clientX) {
+        const rect = ui.mainWaveformContainer.getBoundingClientRect();
+        return clamp(viewStart + ((clientX - rect.left) / rect.width) * viewSpan(), 0, 1);
+    }
+
+    // Zoomed all the way in, each pixel is one bucket of the finest peak level
+    function maxZoom() {
         const it = items[currentIndex];
-        const durationMs = it.durationMs;
-        const ratio = durationMs > 0 ? clamp(playheadMs / durationMs, 0, 1) : 0;
+        const width = ui.mainWaveformContainer.clientWidth;
+        if (!it || !it.peaks || !width) return 1;
+        return Math.max(1, it.peaks.levels[0].length / width);
+    }
 
-        // Get logical dimensions for high-DPI rendering
-        const logicalWidth = ui.mainWaveformContainer.clientWidth;
-        const logicalHeight = ui.mainWaveformContainer.clientHeight;
+    function setView(newZoom, newStart) {
+        zoom = clamp(newZoom, 1, maxZoom());
+        viewStart = clamp(newStart, 0, 1 - viewSpan());
+        renderMainWaveform();
+        setPlayedRatio(playheadRatio());
+        renderLoopRegion();
+        renderCues();
+    }
+
+    // at: where on the display (0..1) the zoom is centred; that spot stays put
+    function zoomAround(factor, at) {
+        const ratio = viewStart + at * viewSpan();
+        const newZoom = clamp(zoom * factor, 1, maxZoom());
+        setView(newZoom, ratio - at / newZoom);
+    }
+
+    function resetView() {
+        zoom = 1;
+        viewStart = 0;
+        followPlayhead = true;
+    }
+
+    // Whole-sample strip under the main waveform, with the visible window marked
+    function renderMinimap() {
+        const it = items[currentIndex];
+        const canvas = ui.minimapCanvas;
+        const ctx = canvas.getContext("2d");
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (it && it.peaks) ctx.drawImage(PlaylistCore.waveformImage(it.peaks, canvas.width, canvas.height, UNPLAYED_COLOR), 0, 0);
+
+        ui.minimap.classList.toggle("is-zoomed", zoom > 1);
+        ui.minimapWindow.style.left = (viewStart * 100) + "%";
+        ui.minimapWindow.style.width = (viewSpan() * 100) + "%";
+    }
+
+    function setupZoomInteraction() {
+        const container = ui.mainWaveformContainer;
 
-        // Draw waveform with played portion highlighted
-        drawWaveform(ui.mainWaveform, it.audioBuffer, {
-            playedRatio: ratio,
-            isMain: true,
-            logicalWidth,
-            logicalHeight
+        container.addEventListener("wheel", (e) => {
+            if (currentIndex < 0) return;
+            e.preventDefault();
+            const rect = container.getBoundingClientRect();
+            const unit = e.deltaMode === 1 ? 16 : 1; // lines -> pixels
+            const sideways = e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY);
+            if (sideways) {
+                const delta = (e.deltaX || e.deltaY) * unit;
+                followPlayhead = false;
+                setView(zoom, viewStart + (delta / rect.width) * viewSpan());
+            } else {
+                // Trackpad pinches arrive as ctrl+wheel with small deltas
+                const speed = e.ctrlKey ? 0.01 : 0.002;
+                zoomAround(Math.exp(-e.deltaY * unit * speed), (e.clientX - rect.left) / rect.width);
+            }
+        }, { passive: false });
+
+        // Minimap: press or drag to centre the view there
+        let minimapDragging = false;
+        const scrollTo = (clientX) => {
+            const rect = ui.minimap.getBoundingClientRect();
+            const ratio = clamp((clientX - rect.left) / rect.width, 0, 1);
+            followPlayhead = false;
+            setView(zoom, ratio - viewSpan() / 2);
+        };
+
+        ui.minimap.addEventListener("mousedown", (e) => {
+            if (currentIndex < 0) return;
+            minimapDragging = true;
+            scrollTo(e.clientX);
+        });
+        document.addEventListener("mousemove", (e) => {
+            if (minimapDragging) scrollTo(e.clientX);
+        });
+        document.addEventListener("mouseup", () => {
+            minimapDragging = false;
         });
 
-        // Update playhead line position
-        ui.playheadLine.style.left = `${ratio * logicalWidth}px`;
+        ui.minimap.addEventListener("touchstart", (e) => {
+            if (currentIndex < 0) return;
+            scrollTo(e.touches[0].clientX);
+        }, { passive: true });
+        ui.minimap.addEventListener("touchmove", (e) => {
+            scrollTo(e.touches[0].clientX);
+        }, { passive: true });
+
+        // Two fingers: spread to zoom around them, move together to scroll
+        let pinch = null;
+        const spread = (t) => Math.max(1, Math.hypot(t[0].clientX - t[1].clientX, t[0].clientY - t[1].clientY));
+        const middle = (t) => (t[0].clientX + t[1].clientX) / 2;
+
+        container.addEventListener("touchstart", (e) => {
+            if (e.touches.length !== 2 || currentIndex < 0) return;
+            pinch = { spread: spread(e.touches), zoom, ratio: ratioAtClientX(middle(e.touches)) };
+            followPlayhead = false;
+        }, { passive: true });
+        container.addEventListener("touchmove", (e) => {
+            if (!pinch || e.touches.length !== 2) return;
+            const rect = container.getBoundingClientRect();
+            const newZoom = clamp((pinch.zoom * spread(e.touches)) / pinch.spread, 1, maxZoom());
+            setView(newZoom, pinch.ratio - (middle(e.touches) - rect.left) / rect.width / newZoom);
+        }, { passive: true });
+        container.addEventListener("touchend", (e) => {
+            if (e.touches.length < 2) pinch = null;
+        });
     }
 
     // ---------- Playhead Polling ----------
@@ -190,16 +455,17 @@
 
             const durationMs = items[currentIndex]?.durationMs || 0;
 
-            // playheadMs is updated via RNBO outport subscription
+            // Extrapolated from the last outport report, so it moves every frame
+            const ms = shownMs();
 
             // Update time displays
-            ui.elapsed.textContent = msToTime(playheadMs);
-            const remaining = Math.max(0, durationMs - playheadMs);
+            ui.elapsed.textContent = msToTime(ms);
+            const remaining = Math.max(0, durationMs - ms);
             ui.remaining.textContent = "-" + msToTime(remaining);
 
             // Update progress bar
             if (durationMs > 0) {
-                const percent = clamp((playheadMs / durationMs) * 100, 0, 100);
+                const percent = clamp((ms / durationMs) * 100, 0, 100);
                 ui.progressFill.style.width = percent + "%";
             }
 
@@ -433,68 +699,323 @@
 
         const rect = element.getBoundingClientRect();
         const ratio = clamp((clientX - rect.left) / rect.width, 0, 1);
-        const durationMs = items[currentIndex].durationMs;
-        const seekMs = ratio * durationMs;
+        seekToMs(ratio * items[currentIndex].durationMs);
+    }
 
+    function seekToMs(seekMs) {
         // Set jump position
-        param("jumpto").value = seekMs;
+        transport.send(device, [["jumpto", seekMs]]);
+        playheadMs = seekMs;
+        playhead.jump(seekMs);
+        if (pausedAtMs !== null) pausedAtMs = seekMs;
+        followPlayhead = true;
+        cancelTransition();
 
         // Update UI immediately
-        ui.elapsed.textContent = msToTime(seekMs);
-        const remaining = Math.max(0, durationMs - seekMs);
+        showPosition(seekMs);
+    }
+
+    // Time displays, progress bar and waveform cursor at ms, outside the playhead poll
+    function showPosition(ms) {
+        const durationMs = items[currentIndex].durationMs;
+        const ratio = durationMs > 0 ? clamp(ms / durationMs, 0, 1) : 0;
+
+        ui.elapsed.textContent = msToTime(ms);
+        const remaining = Math.max(0, durationMs - ms);
         ui.remaining.textContent = "-" + msToTime(remaining);
         ui.progressFill.style.width = (ratio * 100) + "%";
 
-        // Redraw waveform with logical dimensions
-        const logicalWidth = ui.mainWaveformContainer.clientWidth;
-        const logicalHeight = ui.mainWaveformContainer.clientHeight;
-        drawWaveform(ui.mainWaveform, items[currentIndex].audioBuffer, {
-            playedRatio: ratio,
-            isMain: true,
-            logicalWidth,
-            logicalHeight
+        setPlayedRatio(ratio);
+    }
+
+    // ---------- Scrubbing ----------
+    // Dragging the playhead plays what's under the pointer at the drag's speed
+    // and direction, like a hand on a record. Holding still holds the sound.
+    // On release the rate comes back, and a sample that was stopped pauses there.
+    function beginScrub(pointerMs) {
+        scrub = { wasPlaying: isPlaying, pointerMs, rate: 0, lastAt: performance.now(), frameId: null };
+        scrubber.reset(pointerMs);
+        cancelTransition();
+        endDetector.disarm();
+        followPlayhead = false; // the view stays put under the pointer
+
+        const when = transport.send(device, [["rate", 0], ["jumpto", pointerMs], ["playTrig", 1]]);
+        decks.crossfade(fadingFrom, 0, when);
+        fadingFrom = null;
+        playhead.setRate(0);
+        playhead.jump(pointerMs, when);
+        playhead.start();
+        scrub.frameId = requestAnimationFrame(scrubFrame);
+    }
+
+    function scrubFrame(now) {
+        if (!scrub) return;
+        const { rate: scrubRate, jumpMs } = scrubber.update(scrub.pointerMs, playhead.position(), now - scrub.lastAt);
+        scrub.lastAt = now;
+
+        const steps = [];
+        if (jumpMs !== null) steps.push(["jumpto", jumpMs]);
+        if (jumpMs !== null || Math.abs(scrubRate - scrub.rate) > 0.01) steps.push(["rate", scrubRate]);
+        if (steps.length) {
+            const when = transport.send(device, steps);
+            playhead.setRate(scrubRate);
+            if (jumpMs !== null) playhead.jump(jumpMs, when);
+            scrub.rate = scrubRate;
+        }
+
+        // The playhead poll only runs while playing
+        if (!isPlaying) showPosition(shownMs());
+        scrub.frameId = requestAnimationFrame(scrubFrame);
+    }
+
+    // Puts the rate back; play() and stop() take over from a scrub this way
+    function cancelScrub() {
+        if (!scrub) return;
+        cancelAnimationFrame(scrub.frameId);
+        scrub = null;
+        followPlayhead = true;
+        transport.send(device, [["rate", rate]]);
+        playhead.setRate(rate);
+    }
+
+    function endScrub() {
+        if (!scrub) return;
+        const { wasPlaying } = scrub;
+        cancelScrub();
+        if (wasPlaying) {
+            endDetector.arm();
+            return;
+        }
+
+        // Silence it, but keep the position the drag left it at
+        const ms = shownMs();
+        transport.send(device, [["stopTrig", 1]]);
+        playhead.stop();
+        playhead.jump(ms);
+        playheadMs = ms;
+        pausedAtMs = ms;
+        showPosition(ms);
+    }
+
+    // ---------- Cue Points ----------
+    // Markers for the selected item's cues (item.cues, see PlaylistCore.addCue).
+    // Shift+1-9/0 jumps to cue 1-10, C or alt-click adds one.
+    function renderCues() {
+        const it = items[currentIndex];
+        const cues = it && it.durationMs > 0 ? it.cues : [];
+        ui.cueMarkers.innerHTML = cues.map((cue, i) => {
+            const key = (i + 1) % 10;
+            const name = cue.name ? ` ${PlaylistCore.escapeHTML(cue.name)}` : "";
+            const title = PlaylistCore.escapeHTML(`${PlaylistCore.cueLabel(cue, i)} (${msToTime(cue.ms)}): Shift+${key} to jump, double-click to rename, right-click to delete`);
+            return `
+                <div class="cue-marker" style="left: ${viewX(cue.ms / it.durationMs) * 100}%">
+                    <button type="button" class="cue-label" data-cue="${i}" title="${title}">${key}${name}</button>
+                </div>`;
+        }).join("");
+    }
+
+    function addCueAt(ms) {
+        const it = items[currentIndex];
+        if (!it) return;
+        if (PlaylistCore.addCue(it, ms) < 0) {
+            showImportNotice(`An item can have up to ${PlaylistCore.MAX_CUES} cues. Right-click one to delete it.`);
+            return;
+        }
+        renderCues();
+        persist();
+    }
+
+    // Playing: jump there. Stopped: start playing from there.
+    function jumpToCue(i) {
+        const cue = items[currentIndex]?.cues[i];
+        if (!cue) return;
+        window.dispatchEvent(new Event("rnbo:gesture"));
+        if (isPlaying) seekToMs(cue.ms);
+        else play(0, cue.ms);
+    }
+
+    function renameCue(i) {
+        const cue = items[currentIndex]?.cues[i];
+        if (!cue) return;
+        const name = window.prompt("Cue name", cue.name || "");
+        if (name === null) return;
+        if (name.trim()) cue.name = name.trim();
+        else delete cue.name;
+        renderCues();
+        persist();
+    }
+
+    function removeCue(i) {
+        const it = items[currentIndex];
+        if (!it || !it.cues[i]) return;
+        it.cues.splice(i, 1);
+        renderCues();
+        persist();
+    }
+
+    function setupCueInteraction() {
+        const cueIndex = (e) => {
+            const label = e.target.closest(".cue-label");
+            return label ? Number(label.dataset.cue) : -1;
+        };
+
+        // Labels sit on the waveform; keep their clicks from seeking
+        ui.cueMarkers.addEventListener("mousedown", (e) => {
+            if (cueIndex(e) >= 0) e.stopPropagation();
         });
-        ui.playheadLine.style.left = `${ratio * logicalWidth}px`;
+        ui.cueMarkers.addEventListener("touchstart", (e) => {
+            if (cueIndex(e) >= 0) e.stopPropagation();
+        }, { passive: true });
+
+        ui.cueMarkers.addEventListener("click", (e) => {
+            if (cueIndex(e) >= 0) jumpToCue(cueIndex(e));
+        });
+        ui.cueMarkers.addEventListener("dblclick", (e) => {
+            if (cueIndex(e) >= 0) renameCue(cueIndex(e));
+        });
+        ui.cueMarkers.addEventListener("contextmenu", (e) => {
+            if (cueIndex(e) < 0) return;
+            e.preventDefault();
+            removeCue(cueIndex(e));
+        });
+    }
+
+    // ---------- Loop Region ----------
+    // A/B region on the main waveform, kept in the item's loopStartMs/loopEndMs
+    // so it's saved and exported with the playlist like one from playlist.json
+    const MIN_REGION_MS = 20;
+
+    function msAtClientX(clientX) {
+        return ratioAtClientX(clientX) * items[currentIndex].durationMs;
+    }
+
+    // Overlay for the selected item's loop points, dimmed while Loop is off
+    function renderLoopRegion() {
+        const it = items[currentIndex];
+        const hasRegion = !!it && it.durationMs > 0 && (it.loopStartMs !== null || it.loopEndMs !== null);
+        ui.loopOverlay.hidden = !hasRegion;
+        if (!hasRegion) return;
+
+        const start = it.loopStartMs ?? 0;
+        const end = it.loopEndMs ?? it.durationMs;
+        ui.loopOverlay.style.left = viewX(start / it.durationMs) * 100 + "%";
+        ui.loopOverlay.style.width = ((end - start) / it.durationMs) * zoom * 100 + "%";
+        ui.loopOverlay.classList.toggle("is-active", isLoop);
+    }
+
+    // Patches with loopStart/loopEnd params get the region directly; otherwise
+    // loopRegion.check() keeps playback inside it through jumpto
+    function sendLoopRegion(it) {
+        const pStart = findParam("loopStart");
+        const pEnd = findParam("loopEnd");
+        if (pStart) pStart.value = it.loopStartMs ?? 0;
+        if (pEnd) pEnd.value = it.loopEndMs ?? it.durationMs;
+    }
+
+    // Sets the selected item's loop points (null, null clears them)
+    function setLoopRegion(startMs, endMs) {
+        const it = items[currentIndex];
+        if (!it) return;
+        it.loopStartMs = startMs === null ? null : Math.round(startMs);
+        it.loopEndMs = endMs === null ? null : Math.round(endMs);
+        sendLoopRegion(it);
+        renderLoopRegion();
     }
 
     function setupWaveformInteraction() {
-        let isDragging = false;
+        // "seek" (turns into a scrub once it moves), "select" (shift-drag a new
+        // region), "start" / "end" (a handle), or null
+        let dragMode = null;
+        let anchorMs = 0;
+        let selected = false;
+        let downX = 0;
+        const SCRUB_THRESHOLD_PX = 3; // less than this is a click: just seek
+
+        function beginDrag(clientX, target, { shiftKey = false, altKey = false } = {}) {
+            if (currentIndex < 0) return;
+            const handle = target.closest(".loop-handle");
+            if (handle) {
+                dragMode = handle.dataset.handle;
+            } else if (altKey) {
+                addCueAt(msAtClientX(clientX));
+            } else if (shiftKey) {
+                dragMode = "select";
+                anchorMs = msAtClientX(clientX);
+                selected = false;
+            } else {
+                dragMode = "seek";
+                downX = clientX;
+                seekToMs(msAtClientX(clientX));
+            }
+            window.dispatchEvent(new Event("rnbo:gesture"));
+        }
+
+        function moveDrag(clientX) {
+            const it = items[currentIndex];
+            if (!it) return;
+            const ms = msAtClientX(clientX);
+            if (dragMode === "seek") {
+                if (scrub) scrub.pointerMs = ms;
+                else if (Math.abs(clientX - downX) >= SCRUB_THRESHOLD_PX) beginScrub(ms);
+            } else if (dragMode === "select") {
+                const lo = Math.min(anchorMs, ms);
+                const hi = Math.max(anchorMs, ms);
+                if (hi - lo < MIN_REGION_MS) return;
+                setLoopRegion(lo, hi);
+                selected = true;
+            } else if (dragMode === "start") {
+                const end = it.loopEndMs ?? it.durationMs;
+                setLoopRegion(clamp(ms, 0, end - MIN_REGION_MS), it.loopEndMs);
+            } else if (dragMode === "end") {
+                const start = it.loopStartMs ?? 0;
+                setLoopRegion(it.loopStartMs, clamp(ms, start + MIN_REGION_MS, it.durationMs));
+            }
+        }
+
+        function endDrag() {
+            const mode = dragMode;
+            dragMode = null;
+            if (mode === "seek") endScrub();
+            if (mode === null || mode === "seek") return;
+
+            if (mode === "select") {
+                // A shift-click without a drag clears the region
+                if (!selected) setLoopRegion(null, null);
+                else if (!isLoop) toggleLoop();
+            }
+            persist();
+        }
 
         // Mouse events
         ui.mainWaveformContainer.addEventListener("mousedown", (e) => {
-            if (currentIndex < 0) return;
-            isDragging = true;
-            seekToPosition(e.clientX, ui.mainWaveformContainer);
-            window.dispatchEvent(new Event("rnbo:gesture"));
+            if (e.shiftKey || e.altKey) e.preventDefault(); // no text selection while shift-dragging
+            beginDrag(e.clientX, e.target, e);
         });
 
         document.addEventListener("mousemove", (e) => {
-            if (!isDragging) return;
-            seekToPosition(e.clientX, ui.mainWaveformContainer);
+            if (dragMode) moveDrag(e.clientX);
         });
 
-        document.addEventListener("mouseup", () => {
-            isDragging = false;
-        });
+        document.addEventListener("mouseup", endDrag);
 
-        // Touch events
+        // Touch events (handles work too; there's no shift, so no new regions)
         ui.mainWaveformContainer.addEventListener("touchstart", (e) => {
-            if (currentIndex < 0) return;
-            isDragging = true;
+            // A second finger turns it into a pinch (see setupZoomInteraction)
+            if (e.touches.length > 1) {
+                endDrag();
+                return;
+            }
             const touch = e.touches[0];
-            seekToPosition(touch.clientX, ui.mainWaveformContainer);
-            window.dispatchEvent(new Event("rnbo:gesture"));
+            beginDrag(touch.clientX, e.target);
         }, { passive: true });
 
         ui.mainWaveformContainer.addEventListener("touchmove", (e) => {
-            if (!isDragging) return;
+            if (!dragMode || e.touches.length > 1) return;
             const touch = e.touches[0];
-            seekToPosition(touch.clientX, ui.mainWaveformContainer);
+            moveDrag(touch.clientX);
         }, { passive: true });
 
-        ui.mainWaveformContainer.addEventListener("touchend", () => {
-            isDragging = false;
-        });
+        ui.mainWaveformContainer.addEventListener("touchend", endDrag);
 
         // Progress bar clicking
         ui.progressTrack.addEventListener("click", (e) => {
@@ -506,84 +1027,139 @@
 
     // ---------- Playback Control ----------
     async function selectIndex(i) {
-        if (!items[i]) return;
+        if (!items[i] || items[i].status !== "ready") return;
 
         currentIndex = i;
         const it = items[i];
 
-        await loadIntoRNBO(it.audioBuffer);
+        let audioBuffer;
+        try {
+            audioBuffer = await audioCache.get(it);
+        } catch (e) {
+            console.error(`[SpeakSpell] Failed to decode "${it.filename}":`, e);
+            return;
+        }
+        if (currentIndex !== i) return; // another item was picked while this one decoded
+
+        // Load into the idle deck (unless the item is already queued there), so
+        // whatever is playing keeps going until play() fades over to it
+        queueToken++;
+        queued = null;
+        cancelTransition();
+        const target = decks.claimIdle();
+        if (target.item !== it) {
+            target.item = null;
+            await loadIntoRNBO(audioBuffer, target.device);
+            target.item = it;
+        }
+        if (currentIndex !== i) return;
+
+        switchDeck(target);
+        audioCache.pin(it);
+        prefetchAround(i);
+        applyItemSettings(it);
 
         // Note: We do NOT set jumpto here - play() will handle it when needed.
         // Setting jumpto can trigger RNBO to auto-play, which we want to avoid
         // during track selection/loading.
+        showItem(it);
+    }
 
-        // Update time display
+    // Time display, name, main waveform and list highlight for the selected item
+    function showItem(it) {
+        if (!isPlaying) playhead.jump(0);
+        pausedAtMs = null;
         ui.elapsed.textContent = "0:00";
         ui.remaining.textContent = "-" + msToTime(it.durationMs);
         ui.progressFill.style.width = "0%";
 
         // Update track name and ghost effect data attribute
-        const trackDisplayName = it.filename.replace(/\.[^/.]+$/, "");
+        const trackDisplayName = PlaylistCore.displayName(it);
         ui.trackName.textContent = trackDisplayName;
         ui.trackName.setAttribute("data-text", trackDisplayName);
 
-        // Draw main waveform with logical dimensions
-        const logicalWidth = ui.mainWaveformContainer.clientWidth;
-        const logicalHeight = ui.mainWaveformContainer.clientHeight;
-        drawWaveform(ui.mainWaveform, it.audioBuffer, {
-            playedRatio: 0,
-            isMain: true,
-            logicalWidth,
-            logicalHeight
-        });
-        ui.playheadLine.style.left = "0px";
+        // Draw main waveform, zoomed out
+        resetView();
+        renderMainWaveform();
+        setPlayedRatio(0);
 
         // Update playlist highlighting
-        updateActiveItem(i);
+        updateActiveItem(currentIndex);
     }
 
-    function play() {
-        if (currentIndex < 0 || !isInitialized) return;
-
-        const it = items[currentIndex];
-        const jump = param("jumpto");
-        const pLoop = param("loop");
+    // Per-item settings from playlist.json; unset fields leave the current state alone
+    function applyItemSettings(it) {
+        if (it.rate !== null) {
+            const pRate = param("rate");
+            const r = clamp(it.rate, pRate.min, pRate.max);
+            ui.rateSlider.value = r;
+            updateRate(r);
+        }
+        if (it.loop !== null && it.loop !== isLoop) {
+            isLoop = it.loop;
+            param("loop").value = isLoop ? 1 : 0;
+            ui.btnLoop.classList.toggle("is-active", isLoop);
+        }
+        updateVolume(parseFloat(ui.volumeSlider.value));
+        sendLoopRegion(it);
+        renderLoopRegion();
+        renderCues();
+    }
 
-        // For reverse playback without loop, we need a special approach:
-        // Temporarily enable loop to ensure playback starts, then disable it
-        const needsTempLoop = rate < 0 && !isLoop;
+    // Loop start (or end, in reverse) while looping an item that has loop points
+    function regionStart(it) {
+        return isLoop ? loopRegion.startFor(it, rate) : null;
+    }
 
-        if (needsTempLoop) {
-            pLoop.value = 1;
-        }
+    // fadeMs: crossfade from the deck that was playing before (0 = just de-click)
+    // startMs: where to start instead of the item's (or loop region's) start
+    function play(fadeMs = 0, startMs = null) {
+        if (currentIndex < 0 || !isInitialized) return;
+        cancelScrub();
 
-        // Set jump position - use larger margin for reverse to ensure we're inside the buffer
-        if (rate < 0) {
-            // Start near the end, but with enough margin to be safely inside the buffer
-            jump.value = Math.max(0, it.durationMs - 100);
-        } else {
-            jump.value = 0;
+        const it = items[currentIndex];
+        if (startMs === null) startMs = pausedAtMs;
+        pausedAtMs = null;
+
+        // Start position - reverse starts a little inside the end of the buffer
+        let from = 0;
+        if (startMs !== null) {
+            from = startMs;
+        } else if (regionStart(it) !== null) {
+            from = regionStart(it);
+        } else if (rate < 0) {
+            from = Math.max(0, it.durationMs - 100);
         }
 
-        // Use longer delay to ensure jump is processed before play trigger
-        setTimeout(() => {
-            pulse(param("playTrig"));
-            isPlaying = true;
-            startPlayheadPolling();
-            startSpectrumPolling();
-
-            // If we temporarily enabled loop for reverse playback, disable it after playback starts
-            if (needsTempLoop) {
-                setTimeout(() => {
-                    pLoop.value = 0;
-                }, 100);
-            }
-        }, 50);
+        // Jump and start in one batch, so the jump always lands first
+        const when = transport.send(device, [["jumpto", from], ["playTrig", 1]]);
+        decks.crossfade(fadingFrom, fadeMs, when);
+        fadingFrom = null;
+        playhead.jump(from, when);
+        playhead.start();
+        isPlaying = true;
+        followPlayhead = true;
+        endDetector.arm();
+        // Queue the next item once the old deck has faded out and is free
+        setTimeout(queueNext, fadeMs + 100);
+        startPlayheadPolling();
+        startSpectrumPolling();
     }
 
     function stop() {
-        pulse(param("stopTrig"));
+        cancelScrub();
+        pausedAtMs = null;
+        transport.send(device, [["stopTrig", 1]]);
         isPlaying = false;
+        playheadMs = 0;
+        playhead.stop();
+        playhead.jump(0);
+        endDetector.disarm();
+        decks.haltIdle();
+        fadingFrom = null;
+        queueToken++;
+        queued = null;
+        cancelTransition();
         stopPlayheadPolling();
         stopSpectrumPolling();
 
@@ -593,18 +1169,8 @@
         ui.remaining.textContent = "-" + msToTime(durationMs);
         ui.progressFill.style.width = "0%";
 
-        // Reset waveform with logical dimensions
-        if (currentIndex >= 0 && items[currentIndex]) {
-            const logicalWidth = ui.mainWaveformContainer.clientWidth;
-            const logicalHeight = ui.mainWaveformContainer.clientHeight;
-            drawWaveform(ui.mainWaveform, items[currentIndex].audioBuffer, {
-                playedRatio: 0,
-                isMain: true,
-                logicalWidth,
-                logicalHeight
-            });
-            ui.playheadLine.style.left = "0px";
-        }
+        // Reset waveform
+        if (currentIndex >= 0 && items[currentIndex]) setPlayedRatio(0);
     }
 
     function togglePlayPause() {
@@ -621,45 +1187,101 @@
         isLoop = !isLoop;
         param("loop").value = isLoop ? 1 : 0;
         ui.btnLoop.classList.toggle("is-active", isLoop);
+        renderLoopRegion();
+        queueNext();
     }
 
-    function nextTrack() {
+    const isReady = (it) => !!it && it.status === "ready";
+
+    async function nextTrack() {
         if (items.length === 0) return;
-        const next = (currentIndex + 1) % items.length;
-        selectIndex(next);
+        const next = playOrder.next(playMode, items, items[currentIndex], isReady, { manual: true });
+        if (!next) return;
+        await selectIndex(items.indexOf(next));
         if (isPlaying) play();
     }
 
-    function prevTrack() {
+    async function prevTrack() {
         if (items.length === 0) return;
-        const prev = (currentIndex - 1 + items.length) % items.length;
-        selectIndex(prev);
+        const prev = playOrder.previous(playMode, items, items[currentIndex], isReady);
+        if (!prev) return;
+        await selectIndex(items.indexOf(prev));
         if (isPlaying) play();
     }
 
-    function adjustVolume(delta) {
+    // The current sample played out (loop off): continue per the play mode
+    async function onSampleEnded() {
+        if (queued) {
+            cancelTransition();
+            startQueued();
+            return;
+        }
+        const next = playOrder.next(playMode, items, items[currentIndex], isReady);
+        if (!next) {
+            stop();
+            return;
+        }
+        const i = items.indexOf(next);
+        if (i !== currentIndex) await selectIndex(i);
+        play();
+    }
+
+    function setPlayMode(mode) {
+        playMode = mode;
+        PlaylistCore.savePlayMode(mode);
+        playOrder.reset();
+        const { label, short, icon } = PlaylistCore.PLAY_MODES[mode];
+        ui.btnMode.querySelector(".icon").textContent = icon;
+        ui.btnMode.querySelector(".btn-label").textContent = short;
+        ui.btnMode.setAttribute("aria-label", `Play mode: ${label}`);
+        ui.btnMode.title = `Play mode: ${label} (M)`;
+        ui.btnMode.classList.toggle("is-active", mode !== "off");
+        ensureSecondDeck();
+        queueNext();
+    }
+
+    function cyclePlayMode() {
+        setPlayMode(PlaylistCore.nextPlayMode(playMode));
+    }
+
+    // Decode the neighbours of the selected item so next/prev start instantly
+    function prefetchAround(i) {
+        const n = cacheOptions.prefetch ?? 1;
+        for (let d = 1; d <= n; d++) {
+            [items[i + d], items[i - d]].forEach((it) => {
+                if (it && it.status === "ready") audioCache.prefetch(it);
+            });
+        }
+    }
+
+    function adjustVolume(deltaDb) {
         const slider = ui.volumeSlider;
-        const newVal = clamp(parseFloat(slider.value) + delta, 0, 1);
+        const newVal = clamp(parseFloat(slider.value) + deltaDb, volumeTaper.minDb, volumeTaper.maxDb);
         slider.value = newVal;
         updateVolume(newVal);
     }
 
     function adjustRate(delta) {
         const slider = ui.rateSlider;
-        const newVal = clamp(parseFloat(slider.value) + delta, -1, 2);
+        const rate = param("rate");
+        const newVal = clamp(parseFloat(slider.value) + delta, rate.min, rate.max);
         slider.value = newVal;
         updateRate(newVal);
     }
 
-    function updateVolume(val) {
-        param("outGain").value = val * 158;
-        ui.volumeValue.textContent = Math.round(val * 100) + "%";
+    // db is the fader level; the selected item's gainDb trim goes on top
+    function updateVolume(db) {
+        // The trim never lifts a fader that's all the way down
+        const trimDb = db > volumeTaper.minDb ? items[currentIndex]?.gainDb || 0 : 0;
+        param("outGain").value = volumeTaper.toParam(clamp(db + trimDb, volumeTaper.minDb, volumeTaper.maxDb));
+        ui.volumeValue.textContent = volumeTaper.format(db);
     }
 
     function updateRate(val) {
         const prevRate = rate;
         rate = val;
-        param("rate").value = rate;
+        playhead.setRate(rate);
+        cancelTransition();
 
         // Format rate display
         if (rate < 0) {
@@ -668,17 +1290,28 @@
             ui.rateValue.textContent = rate.toFixed(1) + "x";
         }
 
-        // Handle direction change while playing
+        // Handle direction change while playing; the rate and the jump go out together
+        const steps = [["rate", rate]];
         if (isPlaying && currentIndex >= 0) {
             const it = items[currentIndex];
             if (prevRate >= 0 && rate < 0) {
                 // Switching to reverse: jump near end with margin
-                param("jumpto").value = Math.max(0, it.durationMs - 100);
+                steps.push(["jumpto", regionStart(it) ?? Math.max(0, it.durationMs - 100)]);
             } else if (prevRate < 0 && rate >= 0) {
                 // Switching to forward: jump near start
-                param("jumpto").value = 100;
+                steps.push(["jumpto", regionStart(it) ?? 100]);
             }
         }
+        const when = transport.send(device, steps);
+        if (steps.length > 1) playhead.jump(steps[1][1], when);
+    }
+
+    function updateCrossfade(ms) {
+        crossfadeMs = ms;
+        ui.xfadeValue.textContent = PlaylistCore.formatCrossfade(ms).toUpperCase();
+        if (queued) queued.fadeMs = ms;
+        cancelTransition();
+        ensureSecondDeck();
     }
 
     function updateActiveItem(index) {
@@ -697,7 +1330,14 @@
     function setupKeyboardShortcuts() {
         document.addEventListener("keydown", (e) => {
             // Ignore if typing in an input
-            if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA") return;
+            if (e.target.closest("input, textarea, select, [contenteditable]")) return;
+
+            // Shift+1-9/0: hot cues 1-10 on the selected item (plain digits pick tracks)
+            if (e.shiftKey && /^Digit\d$/.test(e.code)) {
+                const n = parseInt(e.code.replace("Digit", ""), 10);
+                jumpToCue(n === 0 ? 9 : n - 1);
+                return;
+            }
 
             switch (e.code) {
                 case "Space":
@@ -711,6 +1351,13 @@
                 case "KeyL":
                     toggleLoop();
                     break;
+                case "KeyM":
+                    cyclePlayMode();
+                    break;
+                case "KeyC":
+                    if (e.ctrlKey || e.metaKey) break; // leave copy alone
+                    addCueAt(shownMs());
+                    break;
                 case "ArrowLeft":
                     e.preventDefault();
                     prevTrack();
@@ -721,11 +1368,11 @@
                     break;
                 case "ArrowUp":
                     e.preventDefault();
-                    adjustVolume(0.1);
+                    adjustVolume(VOLUME_KEY_STEP_DB);
                     break;
                 case "ArrowDown":
                     e.preventDefault();
-                    adjustVolume(-0.1);
+                    adjustVolume(-VOLUME_KEY_STEP_DB);
                     break;
                 case "BracketLeft":
                     adjustRate(-0.1);
@@ -733,6 +1380,18 @@
                 case "BracketRight":
                     adjustRate(0.1);
                     break;
+                // Zoom the main waveform around the playhead
+                case "Equal":
+                case "NumpadAdd":
+                case "Minus":
+                case "NumpadSubtract":
+                    if (currentIndex < 0) break;
+                    followPlayhead = true;
+                    zoomAround(
+                        e.code === "Equal" || e.code === "NumpadAdd" ? ZOOM_KEY_STEP : 1 / ZOOM_KEY_STEP,
+                        clamp(viewX(playheadRatio()), 0, 1)
+                    );
+                    break;
                 // Number keys 1-9 for quick track selection
                 case "Digit1":
                 case "Digit2":
@@ -744,37 +1403,211 @@
                 case "Digit8":
                 case "Digit9":
                     const num = parseInt(e.code.replace("Digit", ""), 10) - 1;
-                    if (num < items.length) {
-                        selectIndex(num);
+                    if (items[num]?.status === "ready") {
                         window.dispatchEvent(new Event("rnbo:gesture"));
-                        play();
+                        selectIndex(num).then(play);
                     }
                     break;
                 case "Digit0":
                     // 0 = track 10
-                    if (9 < items.length) {
-                        selectIndex(9);
+                    if (items[9]?.status === "ready") {
                         window.dispatchEvent(new Event("rnbo:gesture"));
-                        play();
+                        selectIndex(9).then(play);
                     }
                     break;
             }
         });
     }
 
+    // ---------- Playlist Loading ----------
+    function showLoadingError(message) {
+        ui.loadingOverlay.classList.remove("hidden");
+        ui.loadingOverlay.classList.add("has-error");
+        ui.errorFace.style.display = "block";
+        ui.loadingText.textContent = "ERROR";
+        ui.errorMessage.textContent = message;
+        ui.errorMessage.style.display = "block";
+        ui.loadingStatus.style.display = "none";
+    }
+
+    async function decodeItem(it, signal) {
+        const { audioBuffer } = await fetchAndDecode(PlaylistCore.itemURL(it, MEDIA_BASE), signal);
+        return audioBuffer;
+    }
+
+    // First load: metadata + peaks stay on the item, the audio goes to the cache
+    async function loadItem(it, signal) {
+        const { audioBuffer, originalSampleRate } = await fetchAndDecode(PlaylistCore.itemURL(it, MEDIA_BASE), signal);
+        it.originalSampleRate = originalSampleRate;
+        it.sampleRate = audioBuffer.sampleRate;
+        it.durationMs = (audioBuffer.length / audioBuffer.sampleRate) * 1000;
+        it.peaks = await PlaylistCore.computePeakLevelsAsync(audioBuffer, { signal });
+        if (!signal.aborted && items.includes(it)) audioCache.put(it, audioBuffer);
+    }
+
+    const newItem = (entry) => ({
+        ...entry,
+        status: "pending",
+        error: null,
+        originalSampleRate: null,
+        sampleRate: null,
+        durationMs: 0,
+        peaks: null
+    });
+
+    // Replaces the whole playlist; anything still loading for the old one is cancelled
+    function loadPlaylist(entries) {
+        loader.cancel();
+        audioCache.clear();
+        items.forEach(PlaylistCore.releaseItem);
+        if (isPlaying) stop();
+        currentIndex = -1;
+        isInitialized = false;
+
+        items = entries.map(newItem);
+
+        ui.loadingOverlay.classList.remove("hidden", "has-error");
+        ui.errorFace.style.display = "none";
+        ui.errorMessage.style.display = "none";
+        ui.loadingText.textContent = "LOADING";
+        ui.loadingStatus.style.display = "";
+        ui.loadingStatus.textContent = `0 / ${items.length}`;
+        ui.loadingBarFill.style.width = "0%";
+
+        buildPlaylist();
+        loader.add(items);
+    }
+
+    // Local files dropped on the playlist or picked with "+ ADD FILES". A playlist
+    // file (json/m3u/xspf) replaces the list; audio files are appended to the end.
+    async function importFiles(files) {
+        const playlistFile = files.find(PlaylistCore.isPlaylistFile);
+        if (playlistFile) {
+            try {
+                const playlist = await PlaylistCore.readPlaylistFile(playlistFile);
+                loadPlaylist(playlist.items);
+            } catch (e) {
+                console.error(`[SpeakSpell] Couldn't import ${playlistFile.name}:`, e);
+                showImportNotice(`Couldn't import ${playlistFile.name}: ${e.message}`);
+                return;
+            }
+        }
+
+        const { items: entries, rejected } = PlaylistCore.itemsFromFiles(files.filter((f) => !PlaylistCore.isPlaylistFile(f)));
+        showImportNotice(PlaylistCore.describeRejected(rejected));
+        if (rejected.length) console.warn("[SpeakSpell] Skipped files:", rejected);
+        if (entries.length > 0) {
+            const added = entries.map(newItem);
+            items.push(...added);
+            buildPlaylist();
+            loader.add(added);
+        }
+        persist();
+        queueNext();
+    }
+
+    function removeItem(i) {
+        const [it] = items.splice(i, 1);
+        if (!it) return;
+        audioCache.delete(it);
+        PlaylistCore.releaseItem(it);
+
+        if (i === currentIndex) {
+            if (isPlaying) stop();
+            currentIndex = -1;
+            ui.trackName.textContent = "";
+            ui.trackName.setAttribute("data-text", "");
+            resetView();
+            renderMainWaveform();
+            renderLoopRegion();
+            renderCues();
+            setPlayedRatio(0);
+        } else if (i < currentIndex) {
+            currentIndex--;
+        }
+        buildPlaylist();
+        persist();
+        queueNext();
+    }
+
+    function persist() {
+        if (playlistStore) playlistStore.save(items);
+    }
+
+    function exportPlaylist(format) {
+        const { ext, type } = PlaylistCore.PLAYLIST_FORMATS[format];
+        PlaylistCore.downloadText(`playlist.${ext}`, PlaylistCore.serializePlaylist(items, format), type);
+    }
+
+    // Back to the playlist file as published, dropping the saved edits
+    async function resetPlaylist() {
+        await playlistStore.clear();
+        showImportNotice("");
+        try {
+            const published = await fetchJSON(PLAYLIST_JSON);
+            playlistStore.setSource(PlaylistCore.playlistSignature(published));
+            loadPlaylist(PlaylistCore.parsePlaylist(published).items);
+        } catch (err) {
+            console.error("[SpeakSpell] Failed to reload playlist:", err);
+            showLoadingError(`Failed to load playlist: ${err.message}`);
+        }
+    }
+
+    function showImportNotice(text) {
+        ui.importNotice.textContent = text;
+        ui.importNotice.hidden = !text;
+    }
+
+    async function onItemStatus(it) {
+        const i = items.indexOf(it);
+        if (i < 0) return; // belongs to a replaced playlist
+
+        updateRow(i);
+
+        const done = items.filter((x) => x.status === "ready" || x.status === "error").length;
+        const ready = items.filter((x) => x.status === "ready").length;
+        ui.loadingStatus.textContent = `${ready} / ${items.length}`;
+        ui.loadingBarFill.style.width = `${(done / items.length) * 100}%`;
+
+        if (it.status === "error") {
+            console.error(`[SpeakSpell] Failed to load "${it.filename}":`, it.error);
+            if (done === items.length && ready === 0) {
+                showLoadingError("No audio files could be loaded. Check your connection and retry from the list.");
+            }
+            return;
+        }
+
+        // First playable item: lift the overlay and prepare it (doesn't play)
+        if (it.status === "ready" && currentIndex < 0) {
+            ui.loadingOverlay.classList.add("hidden");
+            await selectIndex(i);
+
+            // Explicitly ensure patch is stopped - sends the stop trigger to RNBO
+            // This prevents auto-play when audio context is resumed on first user gesture
+            transport.send(device, [["stopTrig", 1]]);
+
+            // Now ready for user interaction
+            isInitialized = true;
+        }
+    }
+
     // ---------- Build Playlist UI ----------
     function buildPlaylist() {
         ui.playlistScroll.innerHTML = items
             .map((it, i) => {
                 const indexStr = String(i + 1).padStart(2, "0");
-                const name = it.filename.replace(/\.[^/.]+$/, "");
+                const name = PlaylistCore.escapeHTML(PlaylistCore.displayName(it));
+                const tooltip = itemTooltip(it);
                 return `
-                    <div class="playlist-item" data-index="${i}">
+                    <div class="playlist-item${it.color ? " has-color" : ""}" data-index="${i}"${tooltip ? ` title="${PlaylistCore.escapeHTML(tooltip)}"` : ""}>
                         <div class="item-header">
                             <span class="drag-handle" aria-label="Drag to reorder">&#9776;</span>
                             <span class="item-index">${indexStr}</span>
                             <span class="item-name">${name}</span>
-                            <span class="item-duration">${msToTime(it.durationMs)}</span>
+                            <span class="item-status"></span>
+                            <span class="item-rate"></span>
+                            <span class="item-duration"></span>
+                            <span class="item-remove" title="Remove from playlist">&times;</span>
                         </div>
                         <div class="item-waveform">
                             <canvas data-waveform="${i}" width="400" height="24"></canvas>
@@ -784,17 +1617,49 @@
             })
             .join("");
 
-        // Draw waveforms
-        items.forEach((it, i) => {
-            const canvas = document.querySelector(`canvas[data-waveform="${i}"]`);
-            if (canvas) {
-                drawWaveform(canvas, it.audioBuffer);
-            }
+        items.forEach((it, i) => updateRow(i));
+        ui.playlistScroll.querySelectorAll(".playlist-item.has-color").forEach((el) => {
+            el.style.setProperty("--item-color", items[el.dataset.index].color);
         });
 
         // Setup event handlers
         setupPlaylistClickHandlers();
         setupDragAndDrop();
+        updateActiveItem(currentIndex);
+    }
+
+    // Description and #tags, shown on hover
+    function itemTooltip(it) {
+        return [it.description, it.tags.map((t) => "#" + t).join(" ")].filter(Boolean).join("\n");
+    }
+
+    // Status badge, rate/duration and waveform for one row
+    function updateRow(i) {
+        const it = items[i];
+        const el = ui.playlistScroll.querySelector(`.playlist-item[data-index="${i}"]`);
+        if (!it || !el) return;
+
+        el.classList.toggle("is-loading", it.status === "pending" || it.status === "loading");
+        el.classList.toggle("has-error", it.status === "error");
+
+        const status = el.querySelector(".item-status");
+        status.dataset.status = it.status;
+        status.textContent =
+            it.status === "error" ? "RETRY" : it.status === "loading" ? "LOAD" : it.status === "pending" ? "..." : "";
+        status.title = it.status === "error" ? `${it.error?.message || "Failed to load"} (click to retry)` : "";
+
+        const rateEl = el.querySelector(".item-rate");
+        const durationEl = el.querySelector(".item-duration");
+        const canvas = el.querySelector("canvas");
+        if (it.status === "ready") {
+            rateEl.textContent = PlaylistCore.formatRates(it.originalSampleRate, it.sampleRate);
+            durationEl.textContent = msToTime(it.durationMs);
+            if (canvas) drawWaveform(canvas, it.peaks);
+        } else {
+            rateEl.textContent = "";
+            durationEl.textContent = "";
+            if (canvas) canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+        }
     }
 
     function setupPlaylistClickHandlers() {
@@ -805,8 +1670,20 @@
                 // Ignore if dragging
                 if (dragState.isDragging) return;
 
-                window.dispatchEvent(new Event("rnbo:gesture"));
                 const idx = parseInt(el.dataset.index, 10);
+                const it = items[idx];
+                if (!it) return;
+                if (e.target.classList.contains("item-remove")) {
+                    removeItem(idx);
+                    return;
+                }
+                if (it.status === "error") {
+                    loader.retry(it);
+                    return;
+                }
+                if (it.status !== "ready") return;
+
+                window.dispatchEvent(new Event("rnbo:gesture"));
                 await selectIndex(idx);
                 play();
             });
@@ -828,7 +1705,9 @@
             handle.addEventListener("touchstart", (e) => startDrag(e, item), { passive: false });
         });
 
-        // Document-level listeners for drag/end
+        // Document-level listeners for drag/end (once; rows are rebuilt per playlist)
+        if (dragListenersBound) return;
+        dragListenersBound = true;
         document.addEventListener("mousemove", onDragMove);
         document.addEventListener("mouseup", onDragEnd);
         document.addEventListener("touchmove", onDragMove, { passive: false });
@@ -965,6 +1844,8 @@
 
         // Rebuild the playlist UI
         rebuildPlaylistUI();
+        persist();
+        queueNext();
     }
 
     function rebuildPlaylistUI() {
@@ -975,16 +1856,22 @@
 
             const indexEl = el.querySelector(".item-index");
             const nameEl = el.querySelector(".item-name");
-            const durationEl = el.querySelector(".item-duration");
             const canvas = el.querySelector("canvas");
 
             if (indexEl) indexEl.textContent = String(i + 1).padStart(2, "0");
-            if (nameEl) nameEl.textContent = items[i].filename.replace(/\.[^/.]+$/, "");
-            if (durationEl) durationEl.textContent = msToTime(items[i].durationMs);
-            if (canvas) {
-                canvas.dataset.waveform = i;
-                drawWaveform(canvas, items[i].audioBuffer);
-            }
+            if (nameEl) nameEl.textContent = PlaylistCore.displayName(items[i]);
+            if (canvas) canvas.dataset.waveform = i;
+
+            // Colour and tooltip belong to the item, not the slot
+            const it = items[i];
+            el.classList.toggle("has-color", !!it.color);
+            if (it.color) el.style.setProperty("--item-color", it.color);
+            else el.style.removeProperty("--item-color");
+            const tooltip = itemTooltip(it);
+            if (tooltip) el.title = tooltip;
+            else el.removeAttribute("title");
+
+            updateRow(i);
         });
 
         // Update active highlighting
@@ -992,22 +1879,81 @@
     }
 
     // ---------- Initialize ----------
-    window.initPlaylistUI = async function (rnboDevice, rnboContext) {
+    // host (from app.js): { output, createDevice() } for the second deck
+    window.initPlaylistUI = async function (rnboDevice, rnboContext, appConfig = {}, host = null) {
         device = rnboDevice;
         context = rnboContext;
 
-        // Subscribe to RNBO outport messages (playhead position)
-        device.messageEvent.subscribe((ev) => {
-            if (ev.tag === "playhead") {
+        if (appConfig.mediaBase) MEDIA_BASE = appConfig.mediaBase;
+        if (appConfig.playlist) PLAYLIST_JSON = appConfig.playlist;
+        if (appConfig.buffer) BUFFER_ID = appConfig.buffer;
+        PARAM_IDS = appConfig.params || {};
+        gainOptions = appConfig.gain || {};
+        channelOptions = { channels: appConfig.bufferChannels, mix: appConfig.channelMix };
+        resampleOptions = { sampleRate: appConfig.sampleRate, quality: appConfig.resampleQuality };
+        loadConcurrency = appConfig.loadConcurrency;
+        cacheOptions = { budgetMB: appConfig.audioCacheMB, prefetch: appConfig.prefetch };
+        const playheadTag = PARAM_IDS.playhead || "playhead";
+
+        // Transport commands as scheduled events if the patch has inports for them
+        transport = PlaylistCore.createTransport({
+            context,
+            paramFor: param,
+            idFor: (name) => PARAM_IDS[name] || name,
+            inports: host?.inports
+        });
+        playhead = PlaylistCore.createPlayheadTracker({ context });
+        const pRate = param("rate");
+        scrubber = PlaylistCore.createScrubber({ minRate: pRate.min, maxRate: pRate.max });
+        loopRegion = PlaylistCore.createLoopRegion({
+            jump: (ms) => playhead.jump(ms, transport.send(device, [["jumpto", ms]]))
+        });
+
+        decks = PlaylistCore.createDeckPair({
+            context,
+            output: host?.output || context.destination,
+            devices: [device],
+            stopDevice: (dev) => transport.send(dev, [["stopTrig", 1]])
+        });
+
+        // Subscribe to RNBO outport messages (playhead position); only the active deck drives the UI
+        const watchPlayhead = (dev) => dev.messageEvent.subscribe((ev) => {
+            if (ev.tag === playheadTag && dev === device) {
                 playheadMs = ev.payload;
+                const it = items[currentIndex];
+                if (!(isPlaying || scrub) || !it) return;
+                playhead.report(playheadMs, ev.time);
+                if (scrub) return; // the drag is in charge until it's released
+                if (isLoop) loopRegion.check(it, playheadMs, rate);
+                else if (endDetector.update(playheadMs, it.durationMs, rate)) onSampleEnded();
+                else scheduleTransition(it);
             }
         });
+        watchPlayhead(device);
+
+        // A second device lets the next item start before this one ends (see ensureSecondDeck)
+        const canOverlap = (appConfig.decks ?? 2) > 1 && !!host?.createDevice;
+        if (canOverlap) {
+            addDeck = async () => {
+                const dev = await host.createDevice();
+                watchPlayhead(dev);
+                return dev;
+            };
+        }
 
         // Cache DOM refs
         ui = {
             mainWaveformContainer: document.getElementById("main-waveform-container"),
             mainWaveform: document.getElementById("main-waveform"),
+            mainWaveformPlayed: document.getElementById("main-waveform-played-canvas"),
+            mainWaveformPlayedClip: document.getElementById("main-waveform-played"),
             playheadLine: document.getElementById("playhead-line"),
+            loopOverlay: document.getElementById("loop-region"),
+            cueMarkers: document.getElementById("cue-markers"),
+            minimap: document.getElementById("waveform-minimap"),
+            minimapCanvas: document.getElementById("minimap-canvas"),
+            minimapWindow: document.getElementById("minimap-window"),
+            minimapPlayhead: document.getElementById("minimap-playhead"),
             elapsed: document.getElementById("elapsed"),
             remaining: document.getElementById("remaining"),
             progressTrack: document.getElementById("progress-track"),
@@ -1016,11 +1962,19 @@
             btnPlay: document.getElementById("btn-play"),
             btnStop: document.getElementById("btn-stop"),
             btnLoop: document.getElementById("btn-loop"),
+            btnMode: document.getElementById("btn-mode"),
             rateSlider: document.getElementById("rate-slider"),
             rateValue: document.getElementById("rate-value"),
             volumeSlider: document.getElementById("volume-slider"),
             volumeValue: document.getElementById("volume-value"),
+            xfadeControl: document.getElementById("xfade-control"),
+            xfadeSlider: document.getElementById("xfade-slider"),
+            xfadeValue: document.getElementById("xfade-value"),
             playlistScroll: document.getElementById("playlist-scroll"),
+            fileInput: document.getElementById("file-input"),
+            importNotice: document.getElementById("import-notice"),
+            exportFormat: document.getElementById("export-format"),
+            resetPlaylist: document.getElementById("reset-playlist"),
             loadingOverlay: document.getElementById("loading-overlay"),
             loadingBarFill: document.getElementById("loading-bar-fill"),
             loadingStatus: document.getElementById("loading-status"),
@@ -1030,30 +1984,26 @@
             spectrumCanvas: document.getElementById("spectrum-canvas")
         };
 
-        // Helper function to show loading error
-        function showLoadingError(message) {
-            ui.loadingOverlay.classList.add("has-error");
-            ui.errorFace.style.display = "block";
-            ui.loadingText.textContent = "ERROR";
-            ui.errorMessage.textContent = message;
-            ui.errorMessage.style.display = "block";
-            ui.loadingStatus.style.display = "none";
-        }
-
         // Set canvas size based on container
         const resizeMainWaveform = () => {
             const width = ui.mainWaveformContainer.clientWidth;
             const height = ui.mainWaveformContainer.clientHeight;
-            ui.mainWaveform.width = width * window.devicePixelRatio;
-            ui.mainWaveform.height = height * window.devicePixelRatio;
-            ui.mainWaveform.style.width = width + "px";
-            ui.mainWaveform.style.height = height + "px";
-            const ctx = ui.mainWaveform.getContext("2d");
-            ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+            for (const canvas of [ui.mainWaveform, ui.mainWaveformPlayed]) {
+                canvas.width = width * window.devicePixelRatio;
+                canvas.height = height * window.devicePixelRatio;
+                canvas.style.width = width + "px";
+                canvas.style.height = height + "px";
+                const ctx = canvas.getContext("2d");
+                ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+            }
+
+            const minimap = ui.minimapCanvas;
+            minimap.width = ui.minimap.clientWidth * window.devicePixelRatio;
+            minimap.height = ui.minimap.clientHeight * window.devicePixelRatio;
 
             // Redraw if we have a track
             if (currentIndex >= 0 && items[currentIndex]) {
-                drawMainWaveformWithPlayhead();
+                setView(zoom, viewStart);
             }
         };
 
@@ -1097,6 +2047,8 @@
         });
 
         ui.btnLoop.addEventListener("click", toggleLoop);
+        ui.btnMode.addEventListener("click", cyclePlayMode);
+        setPlayMode(PlaylistCore.loadPlayMode());
 
         // Bind sliders
         ui.rateSlider.addEventListener("input", () => {
@@ -1107,88 +2059,115 @@
             updateVolume(parseFloat(ui.volumeSlider.value));
         });
 
-        // Set initial volume
-        updateVolume(parseFloat(ui.volumeSlider.value));
+        ui.xfadeControl.hidden = !canOverlap;
+        ui.xfadeSlider.max = PlaylistCore.MAX_CROSSFADE_MS;
+        ui.xfadeSlider.value = PlaylistCore.loadCrossfadeMs(appConfig.crossfadeMs);
+        updateCrossfade(parseFloat(ui.xfadeSlider.value));
+        ui.xfadeSlider.addEventListener("input", () => {
+            updateCrossfade(parseFloat(ui.xfadeSlider.value));
+            PlaylistCore.saveCrossfadeMs(crossfadeMs);
+        });
+
+        // Volume fader works in dB over outGain's real range; start from the patch's current level
+        volumeTaper = PlaylistCore.createGainTaper(param("outGain"), gainOptions);
+        ui.volumeSlider.min = volumeTaper.minDb;
+        ui.volumeSlider.max = volumeTaper.maxDb;
+        const initialDb = volumeTaper.fromParam(param("outGain").value);
+        ui.volumeSlider.value = Number.isFinite(initialDb) ? initialDb : volumeTaper.minDb;
+        ui.volumeValue.textContent = volumeTaper.format(initialDb);
 
         // Setup waveform interaction (click/drag to seek)
         setupWaveformInteraction();
+        setupCueInteraction();
+        setupZoomInteraction();
 
         // Setup keyboard shortcuts
         setupKeyboardShortcuts();
 
-        // Load playlist with progress indication and error handling
+        audioCache = PlaylistCore.createAudioCache({
+            decode: decodeItem,
+            budgetBytes: cacheOptions.budgetMB > 0 ? cacheOptions.budgetMB * 1024 * 1024 : undefined
+        });
+
+        loader = PlaylistCore.createLoadQueue({
+            load: loadItem,
+            onChange: onItemStatus,
+            concurrency: loadConcurrency
+        });
+
+        // Local files can be added even when the playlist itself fails to load
+        PlaylistCore.attachFileDrop(ui.playlistScroll, importFiles);
+        ui.fileInput.accept = PlaylistCore.AUDIO_ACCEPT;
+        ui.fileInput.addEventListener("change", () => {
+            window.dispatchEvent(new Event("rnbo:gesture"));
+            importFiles(Array.from(ui.fileInput.files));
+            ui.fileInput.value = ""; // so picking the same file again still fires
+        });
+        ui.importNotice.addEventListener("click", () => showImportNotice(""));
+        ui.fileInput.accept += ",.json,.m3u,.m3u8,.xspf";
+
+        ui.exportFormat.addEventListener("change", () => {
+            if (ui.exportFormat.value) exportPlaylist(ui.exportFormat.value);
+            ui.exportFormat.value = "";
+        });
+        ui.resetPlaylist.addEventListener("click", () => resetPlaylist());
+
+        // Saved edits win over the published playlist (RESET goes back to it);
+        // an emptied-out one doesn't. Offline, the saved copy is used as it is.
+        playlistStore = PlaylistCore.createPlaylistStore(`rnbo:playlist:${PLAYLIST_JSON}`);
+        const saved = await playlistStore.load();
+        const hasSaved = !!saved && saved.items.length > 0;
         let playlist;
         try {
             playlist = await fetchJSON(PLAYLIST_JSON);
         } catch (err) {
-            console.error("[SpeakSpell] Failed to load playlist:", err);
-            showLoadingError("Failed to load playlist. Check your connection and refresh.");
-            return;
+            if (!hasSaved) {
+                console.error("[SpeakSpell] Failed to load playlist:", err);
+                showLoadingError("Failed to load playlist. Check your connection and refresh, or drop audio files on the list.");
+                return;
+            }
         }
-
-        const totalItems = playlist.items.length;
-        if (totalItems === 0) {
-            showLoadingError("Playlist is empty. No audio files found.");
+        if (hasSaved) {
+            playlistStore.setSource(saved.source);
+            if (playlist !== undefined && saved.source && saved.source !== PlaylistCore.playlistSignature(playlist)) {
+                showImportNotice("The published playlist has changed since you edited it. RESET loads the new one and discards your edits.");
+            }
+            loadPlaylist(saved.items);
             return;
         }
+        playlistStore.setSource(PlaylistCore.playlistSignature(playlist));
 
-        // Show initial loading status
-        ui.loadingStatus.textContent = `0 / ${totalItems}`;
-        ui.loadingBarFill.style.width = "0%";
-
-        let loadErrors = 0;
-        const maxErrors = 3; // Allow a few failures before giving up
-
-        for (let i = 0; i < totalItems; i++) {
-            const filename = playlist.items[i];
-
-            try {
-                const audioBuffer = await fetchAndDecode(MEDIA_BASE + filename);
-                items.push({
-                    filename,
-                    audioBuffer,
-                    durationMs: (audioBuffer.length / audioBuffer.sampleRate) * 1000
-                });
-            } catch (err) {
-                console.error(`[SpeakSpell] Failed to load "${filename}":`, err);
-                loadErrors++;
-
-                if (loadErrors >= maxErrors) {
-                    showLoadingError(`Failed to load audio files. Check your connection and refresh.`);
-                    return;
-                }
-                // Skip this file and continue with others
-                continue;
-            }
-
-            // Update loading progress
-            const loaded = items.length;
-            const percent = ((i + 1) / totalItems) * 100;
-            ui.loadingStatus.textContent = `${loaded} / ${totalItems}`;
-            ui.loadingBarFill.style.width = `${percent}%`;
+        try {
+            playlist = PlaylistCore.parsePlaylist(playlist);
+        } catch (err) {
+            console.error("[SpeakSpell] Invalid playlist:", err);
+            showLoadingError(`Invalid playlist: ${err.message}`);
+            return;
         }
 
-        // Check if we loaded any items
-        if (items.length === 0) {
-            showLoadingError("No audio files could be loaded. Please refresh and try again.");
+        const totalItems = playlist.items.length;
+        if (totalItems === 0) {
+            showLoadingError("Playlist is empty. Drop audio files on the list to add some.");
             return;
         }
 
-        // Hide loading overlay with fade
-        ui.loadingOverlay.classList.add("hidden");
-
-        // Build playlist UI
-        buildPlaylist();
-
-        // Auto-select first item (just prepares display, doesn't play)
-        await selectIndex(0);
-
-        // Explicitly ensure patch is stopped - pulse sends stop signal to RNBO
-        // This prevents auto-play when audio context is resumed on first user gesture
-        param("playTrig").value = 0;
-        pulse(param("stopTrig"));
+        // Rows appear right away; the overlay lifts as soon as one item is playable
+        loadPlaylist(playlist.items);
+    };
 
-        // Now ready for user interaction
-        isInitialized = true;
+    // What this UI needs from the export; app.js checks it before calling initPlaylistUI
+    window.initPlaylistUI.contract = {
+        name: "Speak & Spell UI",
+        root: "main-waveform-container",
+        params: {
+            rate: { covers: [-1, 2] },
+            jumpto: { covers: [0, 1] },
+            outGain: {},
+            loop: { covers: [0, 1] },
+            playTrig: { covers: [0, 1] },
+            stopTrig: { covers: [0, 1] }
+        },
+        buffer: true,
+        outports: ["playhead"]
     };
 })();